@@ -0,0 +1,251 @@
+// Appointments - Viewings and test drives booked against cars: agenda, .ics export and reminders
+
+const APPOINTMENT_TYPES = ['Viewing', 'Test Drive', 'Collection', 'Other'];
+const DEFAULT_APPOINTMENT_MINUTES = 60;
+const DEFAULT_REMINDER_MINUTES = 60;
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Appointments already notified this session (appointment id + start time)
+const notifiedAppointments = new Set();
+let reminderTimer = null;
+
+// Get a car's appointments (cars saved before appointments existed have none)
+function getAppointments(car) {
+    return car && Array.isArray(car.appointments) ? car.appointments : [];
+}
+
+// Create an appointment record from form values
+function createAppointment({ date, time, type, location, notes }) {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        date,
+        time: time || '09:00',
+        type: APPOINTMENT_TYPES.includes(type) ? type : APPOINTMENT_TYPES[0],
+        durationMinutes: DEFAULT_APPOINTMENT_MINUTES,
+        location: location || '',
+        notes: notes || ''
+    };
+}
+
+// Start of the appointment in local time
+function getAppointmentStart(appointment) {
+    return new Date(`${appointment.date}T${appointment.time || '00:00'}`);
+}
+
+// Upcoming (or, with includePast, all) appointments across the cars, soonest first
+function getAgendaEntries(cars, { includePast = false, now = new Date() } = {}) {
+    const entries = [];
+    cars.forEach(car => {
+        getAppointments(car).forEach(appointment => {
+            const start = getAppointmentStart(appointment);
+            if (isNaN(start.getTime())) return;
+            const end = new Date(start.getTime() + (appointment.durationMinutes || DEFAULT_APPOINTMENT_MINUTES) * 60 * 1000);
+            if (includePast || end >= now) {
+                entries.push({ car, appointment, start });
+            }
+        });
+    });
+    return entries.sort((a, b) => a.start - b.start);
+}
+
+// Next appointment still to come for a car (null if none)
+function getNextAppointment(car, now = new Date()) {
+    const entries = getAgendaEntries([car], { now });
+    return entries.length > 0 ? entries[0] : null;
+}
+
+// Combine two copies of a car's appointments (when merging an import), keeping each one once
+function mergeAppointments(carA, carB) {
+    const byId = new Map();
+    getAppointments(carA).concat(getAppointments(carB)).forEach(appointment => {
+        if (!byId.has(appointment.id)) byId.set(appointment.id, { ...appointment });
+    });
+    return Array.from(byId.values());
+}
+
+function formatAppointmentTime(start) {
+    return start.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+// Day heading for the agenda: Today, Tomorrow or the date
+function formatAgendaDay(start, now = new Date()) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const diffDays = Math.round((day - today) / (24 * 60 * 60 * 1000));
+    if (diffDays === 0) return 'Today';
+    if (diffDays === 1) return 'Tomorrow';
+    if (diffDays === -1) return 'Yesterday';
+    return start.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: day.getFullYear() === today.getFullYear() ? undefined : 'numeric' });
+}
+
+// Short label for cards, e.g. "📅 Viewing Tomorrow 10:30"
+function formatAppointmentSummary(entry) {
+    return `📅 ${entry.appointment.type} ${formatAgendaDay(entry.start)} ${formatAppointmentTime(entry.start)}`;
+}
+
+// Escape text for an iCalendar property value
+function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold iCalendar lines longer than 75 octets. The limit is in UTF-8 bytes, so text like "£"
+// counts double, and a line is never split inside a character.
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            parts.push(current);
+            // Continuation lines start with a space, which counts towards their length
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Build an .ics calendar file for one appointment
+function createIcs(car, appointment, reminderMinutes = DEFAULT_REMINDER_MINUTES) {
+    const start = getAppointmentStart(appointment);
+    const end = new Date(start.getTime() + (appointment.durationMinutes || DEFAULT_APPOINTMENT_MINUTES) * 60 * 1000);
+    const registration = car.registration ? UkPlates.formatPlate(car.registration) : 'Car';
+    const description = [
+        car.spec,
+        car.price ? `Price: ${CarUtils.formatPrice(car.price)}` : '',
+        car.contact ? `Contact: ${car.contact}` : '',
+        car.websiteLink ? `Listing: ${car.websiteLink}` : '',
+        appointment.notes
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Car Tools//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}-${car.id}@car-tools`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(`${appointment.type}: ${registration}${car.spec ? ` ${car.spec}` : ''}`)}`,
+        `LOCATION:${escapeIcsText(appointment.location || car.contact)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:-PT${reminderMinutes}M`,
+        `DESCRIPTION:${escapeIcsText(`${appointment.type}: ${registration}`)}`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Agenda list grouped by day. Rows carry data-car-id and data-appointment-id for actions.
+function renderAgenda(entries, now = new Date()) {
+    if (entries.length === 0) {
+        return '<p class="empty-message">No upcoming viewings. Add one from a car\'s edit form.</p>';
+    }
+
+    let currentDay = null;
+    return entries.map(({ car, appointment, start }) => {
+        const day = formatAgendaDay(start, now);
+        const heading = day !== currentDay ? `<h4 class="agenda-day">${day}</h4>` : '';
+        currentDay = day;
+        const isPast = start < now;
+        return `
+            ${heading}
+            <div class="agenda-item ${isPast ? 'agenda-item-past' : ''}" data-car-id="${car.id}" data-appointment-id="${appointment.id}">
+                <div class="agenda-time">${formatAppointmentTime(start)}</div>
+                <div class="agenda-details">
+                    <div><strong>${escapeHtml(appointment.type)}</strong> · <a href="#" class="agenda-open-car plate-text">${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}</a> ${car.spec ? escapeHtml(car.spec) : ''}</div>
+                    ${appointment.location || car.contact ? `<div class="agenda-location">📍 ${escapeHtml(appointment.location || car.contact)}</div>` : ''}
+                    ${appointment.notes ? `<div class="agenda-notes">${escapeHtml(appointment.notes)}</div>` : ''}
+                </div>
+                <button class="btn-icon agenda-ics-btn" title="Download calendar file (.ics)">📥 .ics</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// List of a car's appointments for the edit form (soonest first)
+function renderAppointmentList(car, now = new Date()) {
+    const entries = getAgendaEntries([car], { includePast: true, now });
+    if (entries.length === 0) {
+        return '<p class="price-timeline-empty">No appointments booked</p>';
+    }
+    return `<ul class="appointment-list">${entries.map(({ appointment, start }) => `
+        <li data-appointment-id="${appointment.id}" class="${start < now ? 'agenda-item-past' : ''}">
+            <span class="price-timeline-date">${start.toLocaleDateString('en-GB')} ${formatAppointmentTime(start)}</span>
+            <strong>${escapeHtml(appointment.type)}</strong>
+            <span class="appointment-list-details">${escapeHtml([appointment.location, appointment.notes].filter(Boolean).join(' · '))}</span>
+            <button type="button" class="btn-icon appointment-ics-btn" title="Download calendar file (.ics)">📥</button>
+            <button type="button" class="btn-icon btn-delete appointment-delete-btn" title="Delete appointment">✕</button>
+        </li>
+    `).join('')}</ul>`;
+}
+
+// Appointments starting within leadMinutes that haven't been notified yet this session
+function getDueReminders(cars, leadMinutes, now = new Date()) {
+    return getAgendaEntries(cars, { now }).filter(({ appointment, start }) => {
+        const key = `${appointment.id}@${start.getTime()}`;
+        const remindAt = start.getTime() - leadMinutes * 60 * 1000;
+        return now.getTime() >= remindAt && now < start && !notifiedAppointments.has(key);
+    });
+}
+
+// Check for due reminders every 30 seconds while the app is open.
+// getCars() and getLeadMinutes() are read on every check; onReminder(entry) is called once per appointment.
+function startAppointmentReminders({ getCars, getLeadMinutes, onReminder }) {
+    stopAppointmentReminders();
+    const check = () => {
+        getDueReminders(getCars(), getLeadMinutes()).forEach(entry => {
+            notifiedAppointments.add(`${entry.appointment.id}@${entry.start.getTime()}`);
+            onReminder(entry);
+        });
+    };
+    check();
+    reminderTimer = setInterval(check, REMINDER_CHECK_INTERVAL_MS);
+}
+
+function stopAppointmentReminders() {
+    if (reminderTimer) {
+        clearInterval(reminderTimer);
+        reminderTimer = null;
+    }
+}
+
+// Export appointment functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarAppointments = {
+        APPOINTMENT_TYPES,
+        DEFAULT_REMINDER_MINUTES,
+        getAppointments,
+        createAppointment,
+        getAgendaEntries,
+        getNextAppointment,
+        mergeAppointments,
+        formatAppointmentSummary,
+        formatAppointmentTime,
+        createIcs,
+        renderAgenda,
+        renderAppointmentList,
+        startAppointmentReminders,
+        stopAppointmentReminders
+    };
+}
@@ -0,0 +1,177 @@
+// Car Comparison - Lays out 2-4 selected cars side by side, field by field
+
+const MIN_COMPARE_CARS = 2;
+const MAX_COMPARE_CARS = 4;
+
+// Rows shown in the comparison table. 'better' tells which end of a numeric row wins;
+// rows without it are shown for reference only. 'value' computes rows not stored on the car.
+const COMPARE_FIELDS = [
+    { key: 'price', label: 'Price', better: 'lower', format: car => CarUtils.formatPrice(car.price) },
+    { key: 'mileage', label: 'Mileage', better: 'lower', format: car => CarUtils.formatMileage(car.mileage) },
+    { key: 'year', label: 'Year', better: 'higher', format: car => car.year || '' },
+    { key: 'engineSize', label: 'Engine Size', better: 'lower', format: car => car.engineSize ? car.engineSize + 'L' : '' },
+    { key: 'insuranceGroup', label: 'Insurance Group', better: 'lower', format: car => car.insuranceGroup || '' },
+    { key: 'rating', label: 'Rating', better: 'higher', format: car => CarUtils.formatRating(car.rating) },
+    { key: 'runningCost', label: 'Running Cost / Year', better: 'lower', value: car => CarTco.getRunningCosts(car).total, format: car => CarTco.formatTcoAmount(CarTco.getRunningCosts(car).total) },
+    { key: 'monthly', label: 'Monthly Payment', better: 'lower', value: car => CarFinance.getMonthlyPayment(car), format: car => CarFinance.renderMonthlyPaymentCell(car) },
+    { key: 'tco', label: 'Total Cost of Ownership', better: 'lower', value: car => CarTco.getTco(car), format: car => CarTco.getTco(car) !== null ? `${CarTco.formatTcoAmount(CarTco.getTco(car))} (${CarTco.getHorizonYears()}y)` : '' },
+    { key: 'status', label: 'Status', format: car => CarPipeline.getCarStatus(car) },
+    { key: 'comments', label: 'MOT Notes', format: car => car.comments || '' }
+];
+
+// IDs of the cars currently picked for comparison (in selection order)
+let compareSelection = [];
+
+// Check whether a car is picked for comparison
+function isInComparison(carId) {
+    return compareSelection.includes(carId);
+}
+
+// Add or remove a car from the comparison selection
+function toggleCompareCar(carId) {
+    if (isInComparison(carId)) {
+        compareSelection = compareSelection.filter(id => id !== carId);
+    } else if (compareSelection.length >= MAX_COMPARE_CARS) {
+        alert(`You can compare up to ${MAX_COMPARE_CARS} cars at a time. Remove one first.`);
+        return;
+    } else {
+        compareSelection.push(carId);
+    }
+
+    displayCars();
+
+    // Keep an open comparison in sync with the selection
+    if (document.getElementById('compareView').style.display !== 'none') {
+        if (compareSelection.length >= MIN_COMPARE_CARS) {
+            renderComparison();
+        } else {
+            closeComparison();
+        }
+    }
+}
+
+// Drop selected IDs that no longer exist and refresh the compare button
+function updateCompareControls() {
+    compareSelection = compareSelection.filter(id => allCars.some(c => c.id === id));
+
+    const compareBtn = document.getElementById('compareCarsBtn');
+    const clearBtn = document.getElementById('clearCompareBtn');
+    if (compareBtn) {
+        compareBtn.textContent = `Compare (${compareSelection.length})`;
+        compareBtn.disabled = compareSelection.length < MIN_COMPARE_CARS;
+    }
+    if (clearBtn) {
+        clearBtn.style.display = compareSelection.length > 0 ? 'inline-block' : 'none';
+    }
+}
+
+// Clear the comparison selection
+function clearComparison() {
+    compareSelection = [];
+    closeComparison();
+    displayCars();
+}
+
+// Get a numeric value for a comparison row (null when missing or not a number)
+function getCompareValue(car, field) {
+    return CarUtils.toNumber(field.value ? field.value(car) : car[field.key]);
+}
+
+// Find the best and worst values for a row; returns null when there is nothing to rank
+function findBestAndWorst(cars, field) {
+    if (!field.better) return null;
+
+    const values = cars.map(car => getCompareValue(car, field)).filter(v => v !== null);
+    if (values.length < 2) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (min === max) return null;
+
+    return field.better === 'lower' ? { best: min, worst: max } : { best: max, worst: min };
+}
+
+// Build the comparison table for the selected cars
+function renderComparison() {
+    const container = document.getElementById('compareView');
+    if (!container) return;
+
+    const cars = compareSelection.map(id => allCars.find(c => c.id === id)).filter(Boolean);
+
+    const headerCells = cars.map(car => `
+        <th>
+            <div class="compare-reg">${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}</div>
+            ${car.spec ? `<div class="compare-spec">${escapeHtml(car.spec)}</div>` : ''}
+            <button class="compare-remove-btn" data-car-id="${car.id}" title="Remove from comparison">✕</button>
+        </th>
+    `).join('');
+
+    const bodyRows = COMPARE_FIELDS.map(field => {
+        const ranking = findBestAndWorst(cars, field);
+        const cells = cars.map(car => {
+            const value = getCompareValue(car, field);
+            let cellClass = field.better ? '' : 'compare-text';
+            if (ranking && value === ranking.best) cellClass += ' compare-best';
+            if (ranking && value === ranking.worst) cellClass += ' compare-worst';
+            return `<td class="${cellClass.trim()}">${field.better ? field.format(car) : escapeHtml(field.format(car))}</td>`;
+        }).join('');
+        return `<tr><th>${field.label}</th>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="compare-header">
+            <h3>Comparing ${cars.length} cars</h3>
+            <button id="closeCompareBtn" class="btn btn-secondary" style="padding: 6px 12px; font-size: 0.9em;">Close</button>
+        </div>
+        <div class="table-wrapper">
+            <table class="compare-table">
+                <thead><tr><th></th>${headerCells}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        </div>
+        <p class="compare-legend"><span class="compare-best">Best</span> <span class="compare-worst">Worst</span> value in each row</p>
+    `;
+
+    document.getElementById('closeCompareBtn').addEventListener('click', closeComparison);
+    container.querySelectorAll('.compare-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const car = cars.find(c => String(c.id) === btn.getAttribute('data-car-id'));
+            if (car) toggleCompareCar(car.id);
+        });
+    });
+}
+
+// Show the comparison view
+function openComparison() {
+    if (compareSelection.length < MIN_COMPARE_CARS) {
+        alert(`Select at least ${MIN_COMPARE_CARS} cars to compare.`);
+        return;
+    }
+
+    renderComparison();
+    const container = document.getElementById('compareView');
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Hide the comparison view
+function closeComparison() {
+    const container = document.getElementById('compareView');
+    if (container) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+    }
+}
+
+// Export comparison functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarCompare = {
+        isInComparison,
+        toggleCompareCar,
+        updateCompareControls,
+        clearComparison,
+        openComparison,
+        closeComparison,
+        findBestAndWorst
+    };
+}
@@ -2,27 +2,73 @@
 
 let currentEditingCarId = null;
 let allCars = [];
-let currentView = 'table'; // 'card' or 'table'
-let currentFilters = {
+let currentView = 'table'; // 'card', 'table', 'board' or 'dashboard'
+const DEFAULT_FILTERS = {
     star: 'all',
     flag: 'all',
     transmission: 'all',
-    fuelType: 'all'
+    fuelType: 'all',
+    status: 'all',
+    history: 'all', // Key of CarHistory.HISTORY_FILTERS
+    ranges: {} // Numeric field key -> { min, max } (see RangeFilters)
 };
+let currentFilters = { ...DEFAULT_FILTERS };
 let currentSort = {
     column: null,
     direction: 'asc' // 'asc' or 'desc'
 };
+let formEditSession = null; // Groups auto-saves of one edit into a single undo step and price change
+let filterPresets = []; // Saved searches: { name, filters, search, sort, view }
+let selectedCarIds = new Set(); // Cars ticked in the table for bulk actions
+let lastSelectedCarId = null; // Anchor for shift-click range selection
+let appointmentReminderMinutes = 60; // How long before an appointment the reminder fires
+
+// Filter dropdowns and the currentFilters key each one sets
+const FILTER_SELECTS = [
+    { id: 'filterStar', key: 'star' },
+    { id: 'filterFlag', key: 'flag' },
+    { id: 'filterTransmission', key: 'transmission' },
+    { id: 'filterFuelType', key: 'fuelType' },
+    { id: 'filterStatus', key: 'status' },
+    { id: 'filterHistory', key: 'history' }
+];
 
 // Form field IDs for car data
 const CAR_FORM_FIELDS = [
     'carRegistration', 'carYear', 'carPrice', 'carMileage', 'carTransmission',
-    'carEngineSize', 'carFuelType', 'carColors', 'carInsuranceGroup', 'carRating',
+    'carEngineSize', 'carFuelType', 'carColors', 'carInsuranceGroup', 'carRating', 'carStatus',
+    'carMpg', 'carTaxBand', 'carServiceCost',
+    'carFinanceType', 'carFinanceDeposit', 'carFinanceTermMonths', 'carFinanceApr', 'carFinanceBalloon',
     'carSpec', 'carContact', 'carComments', 'carVehicleScore', 'carWebsiteLink'
 ];
 
+// Days a deleted car stays in the trash before it is purged (unless changed by the user)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
 // Fields that should NOT have the incomplete indicator
-const EXCLUDE_FROM_HIGHLIGHT = ['carVehicleScore', 'carWebsiteLink'];
+const EXCLUDE_FROM_HIGHLIGHT = [
+    'carVehicleScore', 'carWebsiteLink', 'carServiceCost',
+    'carFinanceType', 'carFinanceDeposit', 'carFinanceTermMonths', 'carFinanceApr', 'carFinanceBalloon'
+];
+
+// Whether the optional monthly finance payment column is shown in the table
+let showMonthlyPaymentColumn = false;
+
+// Thumbnail object URLs used by the gallery in the edit form, revoked when it is redrawn
+let formPhotoUrls = [];
+
+// Details found by the paste listing text parser, waiting to be accepted into the car form
+let parsedListingFields = [];
+
+// Possible duplicate pairs shown in the duplicates panel, and the state of the cars they were
+// found from (so the panel isn't redrawn, losing the chosen values, unless the cars change)
+let duplicatePairs = [];
+let duplicatesSignature = '';
+
+// Named collections ({ id, name, createdAt }) and how many cars each one holds. The active
+// collection's count comes from allCars, so only the others need refreshing by loadCollections.
+let collections = [];
+let collectionCarCounts = new Map();
 
 // Function to update field visual state (moved outside setupEventListeners for global access)
 function updateFieldVisualState(input) {
@@ -57,24 +103,21 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 async function initializeCarManager() {
+    await CollectionStorage.loadActive();
+    await loadCollections();
     await migrateLogsToCars(); // Migrate any existing log entries to cars
-    await loadCars();
+    await loadCars(true);
+    await CarPhotos.loadPhotoSummaries();
+    await CarScoring.loadScoreWeights();
+    await CarTco.loadTcoSettings();
+    await purgeExpiredTrash();
+    await loadFilterPresets();
+    await loadRangeFilters();
+    await loadMonthlyPaymentColumn();
+    await CarDuplicates.loadDismissedDuplicates();
     setupEventListeners();
-    
-    // Initialize dataset selector with saved preference
-    const savedDataset = await InputStorage.get('selectedDataset');
-    const datasetSelect = document.getElementById('datasetSelect');
-    if (datasetSelect) {
-        if (savedDataset) {
-            datasetSelect.value = savedDataset;
-        } else if (allCars.length === 0) {
-            // If no data and no preference, default to dataset-1.json
-            datasetSelect.value = 'dataset-1.json';
-        } else {
-            // If we have data but no saved preference, set to 'none'
-            datasetSelect.value = 'none';
-        }
-    }
+    renderFilterPresets();
+    await setupAppointmentReminders();
     
     switchView('table'); // Initialize with table view
     displayCars();
@@ -138,6 +181,26 @@ function setupEventListeners() {
         }
     });
     
+    // Paste listing text: parse advert text or a saved page into the car form
+    document.getElementById('listingPasteBtn').addEventListener('click', function() {
+        const panel = document.getElementById('listingPastePanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        if (panel.style.display === 'block') {
+            document.getElementById('listingTextInput').focus();
+        }
+    });
+    document.getElementById('closeListingPasteBtn').addEventListener('click', closeListingPastePanel);
+    document.getElementById('parseListingBtn').addEventListener('click', parseListingInput);
+    document.getElementById('loadListingFileBtn').addEventListener('click', () => document.getElementById('listingFileInput').click());
+    document.getElementById('listingFileInput').addEventListener('change', async function() {
+        const file = this.files[0];
+        if (!file) return;
+        document.getElementById('listingTextInput').value = await file.text();
+        this.value = '';
+        parseListingInput();
+    });
+    document.getElementById('applyListingBtn').addEventListener('click', applyParsedListing);
+    
     // Helper to auto-clean URLs on paste
     function setupUrlAutoClean(inputId) {
         document.getElementById(inputId).addEventListener('paste', function(e) {
@@ -168,6 +231,7 @@ function setupEventListeners() {
     
     // Search
     document.getElementById('searchCarsInput').addEventListener('input', function() {
+        updateSearchQueryHint(this.value.trim());
         displayCars(this.value.trim());
     });
     
@@ -178,16 +242,97 @@ function setupEventListeners() {
     document.getElementById('tableViewBtn').addEventListener('click', function() {
         switchView('table');
     });
+    document.getElementById('boardViewBtn').addEventListener('click', function() {
+        switchView('board');
+    });
+    document.getElementById('dashboardViewBtn').addEventListener('click', function() {
+        switchView('dashboard');
+    });
+    
+    // Bulk actions on the cars ticked in the table
+    document.getElementById('selectAllCarsCheckbox').addEventListener('change', function() {
+        toggleSelectAll(this.checked);
+    });
+    document.getElementById('bulkStarBtn').addEventListener('click', () => bulkUpdateSelected('Starred', car => { car.starred = true; }));
+    document.getElementById('bulkUnstarBtn').addEventListener('click', () => bulkUpdateSelected('Unstarred', car => { car.starred = false; }));
+    document.getElementById('bulkFlagBtn').addEventListener('click', () => bulkUpdateSelected('Flagged', car => { car.flagged = true; }));
+    document.getElementById('bulkUnflagBtn').addEventListener('click', () => bulkUpdateSelected('Unflagged', car => { car.flagged = false; }));
+    document.getElementById('bulkStatusSelect').addEventListener('change', function() {
+        const status = this.value;
+        this.value = '';
+        if (status) bulkUpdateSelected(`Set status to ${status} for`, car => { car.status = status; });
+    });
+    document.getElementById('bulkCollectionSelect').addEventListener('change', function() {
+        const [action, collectionId] = this.value.split(':');
+        this.value = '';
+        if (collectionId) copySelectedToCollection(parseInt(collectionId, 10), action === 'move');
+    });
+    document.getElementById('bulkExportBtn').addEventListener('click', bulkExportSelected);
+    document.getElementById('bulkDeleteBtn').addEventListener('click', bulkDeleteSelected);
+    document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+    
+    // Compare selected cars
+    document.getElementById('compareCarsBtn').addEventListener('click', CarCompare.openComparison);
+    document.getElementById('clearCompareBtn').addEventListener('click', CarCompare.clearComparison);
+    
+    // Score weights panel
+    CarScoring.renderScoreWeightsPanel(() => displayCars());
+    document.getElementById('scoreWeightsBtn').addEventListener('click', function() {
+        const panel = document.getElementById('scoreWeightsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    document.getElementById('resetScoreWeightsBtn').addEventListener('click', async function() {
+        await CarScoring.resetScoreWeights();
+        CarScoring.renderScoreWeightsPanel(() => displayCars());
+        displayCars();
+    });
+    
+    // Running cost (TCO) assumptions panel
+    CarTco.renderTcoSettingsPanel(refreshTcoViews);
+    updateTcoColumnHeader();
+    document.getElementById('tcoSettingsBtn').addEventListener('click', function() {
+        const panel = document.getElementById('tcoSettingsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    document.getElementById('resetTcoSettingsBtn').addEventListener('click', async function() {
+        await CarTco.resetTcoSettings();
+        CarTco.renderTcoSettingsPanel(refreshTcoViews);
+        refreshTcoViews();
+    });
+    
+    // Photos: file picker, drag-and-drop onto the drop zone, or paste while editing a car
+    document.getElementById('choosePhotosBtn').addEventListener('click', () => document.getElementById('photoFileInput').click());
+    document.getElementById('photoFileInput').addEventListener('change', async function() {
+        await addPhotosToCurrentCar(this.files);
+        this.value = '';
+    });
+    const photoDropZone = document.getElementById('photoDropZone');
+    photoDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        photoDropZone.classList.add('drag-over');
+    });
+    photoDropZone.addEventListener('dragleave', () => photoDropZone.classList.remove('drag-over'));
+    photoDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        photoDropZone.classList.remove('drag-over');
+        addPhotosToCurrentCar(e.dataTransfer.files);
+    });
+    document.addEventListener('paste', (e) => {
+        const formVisible = document.getElementById('carDetailsForm').style.display !== 'none';
+        const images = e.clipboardData ? CarPhotos.getImageFiles(e.clipboardData.files) : [];
+        if (!formVisible || !currentEditingCarId || images.length === 0) return;
+        e.preventDefault();
+        addPhotosToCurrentCar(images);
+    });
+    
+    // Finance repayments update as the terms or price are typed
+    ['carPrice', 'carFinanceType', 'carFinanceDeposit', 'carFinanceTermMonths', 'carFinanceApr', 'carFinanceBalloon'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('input', () => renderFormFinance(extractCarDataFromForm()));
+    });
+    document.getElementById('monthlyColumnBtn').addEventListener('click', () => setMonthlyPaymentColumn(!showMonthlyPaymentColumn));
     
     // Filters
-    const filterConfig = [
-        { id: 'filterStar', key: 'star' },
-        { id: 'filterFlag', key: 'flag' },
-        { id: 'filterTransmission', key: 'transmission' },
-        { id: 'filterFuelType', key: 'fuelType' }
-    ];
-    
-    filterConfig.forEach(({ id, key }) => {
+    FILTER_SELECTS.forEach(({ id, key }) => {
         document.getElementById(id).addEventListener('change', function() {
             currentFilters[key] = this.value;
             applyFilters();
@@ -195,41 +340,134 @@ function setupEventListeners() {
     });
     
     document.getElementById('clearFiltersBtn').addEventListener('click', function() {
-        filterConfig.forEach(({ id, key }) => {
+        FILTER_SELECTS.forEach(({ id, key }) => {
             document.getElementById(id).value = 'all';
             currentFilters[key] = 'all';
         });
+        setRangeFilters({});
+        applyFilters();
+    });
+    
+    // Range filters panel
+    document.getElementById('rangeFiltersBtn').addEventListener('click', function() {
+        const panel = document.getElementById('rangeFiltersPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    document.getElementById('resetRangeFiltersBtn').addEventListener('click', function() {
+        setRangeFilters({});
         applyFilters();
     });
     
+    // Saved searches
+    document.getElementById('filterPresetSelect').addEventListener('change', function() {
+        if (this.value) applyFilterPreset(this.value);
+    });
+    document.getElementById('savePresetBtn').addEventListener('click', saveFilterPreset);
+    document.getElementById('deletePresetBtn').addEventListener('click', deleteFilterPreset);
+    
+    // Appointments agenda and reminders
+    document.getElementById('appointmentsBtn').addEventListener('click', function() {
+        const panel = document.getElementById('appointmentsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderAgendaPanel();
+    });
+    document.getElementById('closeAppointmentsBtn').addEventListener('click', function() {
+        document.getElementById('appointmentsPanel').style.display = 'none';
+    });
+    document.getElementById('showPastAppointments').addEventListener('change', renderAgendaPanel);
+    document.getElementById('reminderLeadSelect').addEventListener('change', async function() {
+        appointmentReminderMinutes = parseInt(this.value, 10);
+        await InputStorage.save('appointmentReminderMinutes', appointmentReminderMinutes);
+    });
+    document.getElementById('enableNotificationsBtn').addEventListener('click', async function() {
+        if ('Notification' in window) {
+            await Notification.requestPermission();
+        }
+        updateNotificationButton();
+    });
+    document.getElementById('addAppointmentBtn').addEventListener('click', addAppointmentToCurrentCar);
+    
+    // MOT and service history in the car form
+    document.getElementById('historyType').addEventListener('change', updateHistoryInputs);
+    document.getElementById('addHistoryBtn').addEventListener('click', addHistoryToCurrentCar);
+    
+    // Trash
+    document.getElementById('trashBtn').addEventListener('click', function() {
+        const panel = document.getElementById('trashPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderTrash();
+    });
+    document.getElementById('closeTrashBtn').addEventListener('click', function() {
+        document.getElementById('trashPanel').style.display = 'none';
+    });
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    
+    // Duplicate finder
+    document.getElementById('duplicatesBtn').addEventListener('click', function() {
+        const panel = document.getElementById('duplicatesPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderDuplicatesPanel(true);
+    });
+    document.getElementById('closeDuplicatesBtn').addEventListener('click', function() {
+        document.getElementById('duplicatesPanel').style.display = 'none';
+    });
+    
+    // Data quality report
+    document.getElementById('qualityReportBtn').addEventListener('click', function() {
+        const panel = document.getElementById('qualityReportPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderQualityReport();
+    });
+    document.getElementById('closeQualityReportBtn').addEventListener('click', function() {
+        document.getElementById('qualityReportPanel').style.display = 'none';
+    });
+    document.getElementById('qualityNeedsAttention').addEventListener('change', renderQualityReport);
+    document.getElementById('trashRetentionInput').addEventListener('change', async function() {
+        const days = parseInt(this.value, 10);
+        if (isNaN(days) || days < 1) {
+            this.value = DEFAULT_TRASH_RETENTION_DAYS;
+            return;
+        }
+        await InputStorage.save('trashRetentionDays', days);
+        await purgeExpiredTrash();
+    });
+    
     // Export/Import
     document.getElementById('exportDataBtn').addEventListener('click', exportData);
     document.getElementById('importDataInput').addEventListener('change', importData);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('importCsvInput').addEventListener('change', importCsv);
+    document.getElementById('confirmCsvImportBtn').addEventListener('click', confirmCsvImport);
+    document.getElementById('cancelCsvImportBtn').addEventListener('click', closeCsvImport);
+    document.getElementById('applyImportBtn').addEventListener('click', applyImport);
+    document.getElementById('cancelImportBtn').addEventListener('click', closeImportPreview);
+    document.getElementById('importMergeStrategy').addEventListener('change', function() {
+        // The global strategy resets every per-field choice
+        document.querySelectorAll('.merge-field-select').forEach(select => {
+            select.value = this.value;
+        });
+    });
+    
+    // Collection switcher
+    document.getElementById('collectionSelect').addEventListener('change', function() {
+        switchCollection(parseInt(this.value, 10));
+    });
+    document.getElementById('newCollectionBtn').addEventListener('click', createCollection);
+    document.getElementById('manageCollectionsBtn').addEventListener('click', function() {
+        const panel = document.getElementById('collectionsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderCollectionSwitcher();
+    });
+    document.getElementById('closeCollectionsBtn').addEventListener('click', function() {
+        document.getElementById('collectionsPanel').style.display = 'none';
+    });
     
-    // Dataset selector
+    // Sample datasets are loaded into a collection of their own
     const loadDatasetBtn = document.getElementById('loadDatasetBtn');
     if (loadDatasetBtn) {
         loadDatasetBtn.addEventListener('click', async function() {
             const datasetSelect = document.getElementById('datasetSelect');
-            const selectedDataset = datasetSelect ? datasetSelect.value : 'none';
-            
-            if (selectedDataset === 'none') {
-                if (confirm('Clear all cars and start with an empty collection?')) {
-                    await CarStorage.clear();
-                    allCars = [];
-                    await InputStorage.save('selectedDataset', 'none');
-                    displayCars();
-                    const statusEl = document.getElementById('datasetStatus');
-                    if (statusEl) {
-                        statusEl.textContent = '✓ Cleared all cars';
-                        setTimeout(() => {
-                            statusEl.textContent = '';
-                        }, 3000);
-                    }
-                }
-            } else {
-                await loadDatasetFromFile(selectedDataset, true);
-            }
+            await loadDatasetFromFile(datasetSelect.value, true);
         });
     }
     
@@ -259,7 +497,7 @@ function setupEventListeners() {
         // Auto-fill year from registration
         const yearInput = document.getElementById('carYear');
         if (registration && !yearInput.value.trim()) {
-            const extractedYear = extractYearFromRegistration(registration);
+            const extractedYear = CarUtils.extractYearFromRegistration(registration);
             if (extractedYear) {
                 yearInput.value = extractedYear;
             }
@@ -268,8 +506,9 @@ function setupEventListeners() {
     
     document.getElementById('carRegistration').addEventListener('blur', () => handleRegistrationChange(true));
     document.getElementById('carRegistration').addEventListener('input', () => handleRegistrationChange(false));
+    document.getElementById('carRegistration').addEventListener('input', updateRegistrationHint);
     
-    // Auto-clean Autotrader and Motors.co.uk URLs when pasted
+    // Auto-clean listing URLs when pasted
     setupUrlAutoClean('carWebsiteLink');
     
     // Auto-save on input (debounced) and update visual indicators
@@ -345,15 +584,29 @@ function setupEventListeners() {
             e.preventDefault();
             saveCar();
         }
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo.
+        // Text fields keep the browser's own undo.
+        if ((e.ctrlKey || e.metaKey) && !e.target.matches('input, textarea, select')) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undoLastAction();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redoLastAction();
+            }
+        }
     });
 }
 
-// Load all cars from storage
-async function loadCars() {
+// Load the active collection's cars from storage. On the initial load an empty store is
+// seeded from old localStorage data or the default dataset, unless the user has created
+// other collections; later reloads leave it empty.
+async function loadCars(isInitialLoad = false) {
     try {
         allCars = await CarStorage.getAll();
         // Migrate old localStorage data if needed
-        if (allCars.length === 0) {
+        if (allCars.length === 0 && isInitialLoad && collections.length <= 1) {
             const oldData = localStorage.getItem('carDetailsEntries');
             if (oldData) {
                 allCars = JSON.parse(oldData);
@@ -371,15 +624,6 @@ async function loadCars() {
                     await loadDatasetFromFile('dataset-1.json', false);
                 }
             }
-        } else {
-            // If we have existing data, restore the dataset selector to match
-            const savedDataset = await InputStorage.get('selectedDataset');
-            if (savedDataset) {
-                const datasetSelect = document.getElementById('datasetSelect');
-                if (datasetSelect) {
-                    datasetSelect.value = savedDataset;
-                }
-            }
         }
     } catch (error) {
         console.error('Error loading cars:', error);
@@ -387,40 +631,41 @@ async function loadCars() {
     }
 }
 
-// Load dataset from a JSON file
-async function loadDatasetFromFile(filename, showConfirmation = true) {
+// Load dataset from a JSON file. Loading from the sample data selector puts the cars in a
+// new collection and switches to it; seeding the first visit fills the active collection.
+async function loadDatasetFromFile(filename, asNewCollection = true) {
     try {
         const response = await fetch(filename);
         if (response.ok) {
             const dataset = await response.json();
             if (dataset.cars && Array.isArray(dataset.cars) && dataset.cars.length > 0) {
-                if (showConfirmation) {
-                    if (!confirm(`This will replace all current cars with ${dataset.cars.length} cars from ${filename}. Continue?`)) {
-                        return;
-                    }
-                }
+                // Load new dataset, upgraded to the current schema. The cars get new IDs so
+                // loading a dataset twice doesn't overwrite the first copy.
+                const datasetCars = DataMigrations.upgradeExport(dataset);
+                datasetCars.forEach(car => {
+                    delete car.id;
+                    delete car.collectionId;
+                });
                 
-                // Clear existing data
-                await CarStorage.clear();
-                allCars = [];
+                if (asNewCollection) {
+                    const name = getUniqueCollectionName(filename.replace(/\.json$/, '').replace(/-/g, ' ').replace(/^./, c => c.toUpperCase()));
+                    await switchCollection(await CollectionStorage.add(name));
+                }
                 
-                // Load new dataset
-                allCars = dataset.cars;
+                const before = UndoHistory.snapshotCars(allCars);
                 
                 // Save to IndexedDB
-                for (const car of allCars) {
+                for (const car of datasetCars) {
                     await CarStorage.save(car);
                 }
+                await loadCars();
+                if (!asNewCollection) {
+                    recordUndoableAction(`Loaded ${filename}`, before);
+                }
                 
                 // Save dataset preference
                 await InputStorage.save('selectedDataset', filename);
                 
-                // Update selector
-                const datasetSelect = document.getElementById('datasetSelect');
-                if (datasetSelect) {
-                    datasetSelect.value = filename;
-                }
-                
                 // Show status
                 const statusEl = document.getElementById('datasetStatus');
                 if (statusEl) {
@@ -431,6 +676,7 @@ async function loadDatasetFromFile(filename, showConfirmation = true) {
                 }
                 
                 // Refresh display
+                await loadCollections();
                 displayCars();
                 
                 console.log(`Loaded ${dataset.cars.length} cars from ${filename}`);
@@ -450,68 +696,255 @@ async function loadDatasetFromFile(filename, showConfirmation = true) {
                 statusEl.style.color = '';
             }, 3000);
         }
-        if (showConfirmation) {
+        if (asNewCollection) {
             alert(`Error loading dataset: ${error.message}`);
         }
         return false;
     }
 }
 
-// Display cars in the list
-function displayCars(searchTerm = '') {
+// Reload the list of collections and the number of cars in each
+async function loadCollections() {
+    try {
+        collections = await CollectionStorage.getAll();
+        const counts = new Map();
+        (await CarStorage.getAll(null)).forEach(car => {
+            const collectionId = car.collectionId || DEFAULT_COLLECTION_ID;
+            counts.set(collectionId, (counts.get(collectionId) || 0) + 1);
+        });
+        collectionCarCounts = counts;
+    } catch (error) {
+        console.error('Error loading collections:', error);
+    }
+}
+
+function getCollectionCarCount(collection) {
+    return collection.id === CollectionStorage.getActiveId() ? allCars.length : (collectionCarCounts.get(collection.id) || 0);
+}
+
+// A collection name that isn't taken yet, e.g. "Dataset 1 (2)" when "Dataset 1" exists
+function getUniqueCollectionName(name) {
+    const taken = new Set(collections.map(collection => collection.name.toLowerCase()));
+    let unique = name;
+    for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+        unique = `${name} (${n})`;
+    }
+    return unique;
+}
+
+// Fill the collection switcher, the bulk move/copy menu and, if open, the collections panel
+function renderCollectionSwitcher() {
+    const activeId = CollectionStorage.getActiveId();
+    const otherCollections = collections.filter(collection => collection.id !== activeId);
+    
+    const collectionSelect = document.getElementById('collectionSelect');
+    if (collectionSelect) {
+        collectionSelect.innerHTML = collections.map(collection =>
+            `<option value="${collection.id}" ${collection.id === activeId ? 'selected' : ''}>${escapeHtml(collection.name)} (${getCollectionCarCount(collection)})</option>`
+        ).join('');
+    }
+    
+    const bulkCollectionSelect = document.getElementById('bulkCollectionSelect');
+    if (bulkCollectionSelect) {
+        const options = action => otherCollections.map(collection => `<option value="${action}:${collection.id}">${escapeHtml(collection.name)}</option>`).join('');
+        bulkCollectionSelect.innerHTML = '<option value="">Move/copy to...</option>' +
+            (otherCollections.length > 0 ? `<optgroup label="Move to">${options('move')}</optgroup><optgroup label="Copy to">${options('copy')}</optgroup>` : '');
+        bulkCollectionSelect.style.display = otherCollections.length > 0 ? '' : 'none';
+    }
+    
+    const panel = document.getElementById('collectionsPanel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    const list = document.getElementById('collectionsList');
+    list.innerHTML = collections.map((collection, index) => {
+        const count = getCollectionCarCount(collection);
+        const isActive = collection.id === activeId;
+        return `
+            <div class="collection-row${isActive ? ' collection-row-active' : ''}" data-collection-index="${index}">
+                <div class="collection-row-name">
+                    <strong>${escapeHtml(collection.name)}</strong>
+                    <span class="description">${count} car${count === 1 ? '' : 's'}${isActive ? ' · showing now' : ''}</span>
+                </div>
+                <div class="collection-row-actions">
+                    ${isActive ? '' : '<button class="btn btn-primary collection-open-btn" style="padding: 6px 12px; font-size: 0.9em;">Open</button>'}
+                    <button class="btn btn-secondary collection-rename-btn" style="padding: 6px 12px; font-size: 0.9em;">Rename</button>
+                    <button class="btn btn-secondary collection-export-btn" style="padding: 6px 12px; font-size: 0.9em;">Export</button>
+                    <button class="btn btn-danger collection-delete-btn" style="padding: 6px 12px; font-size: 0.9em;" ${collections.length === 1 ? 'disabled title="The last collection can\'t be deleted"' : ''}>Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    list.querySelectorAll('.collection-row').forEach(element => {
+        const collection = collections[parseInt(element.getAttribute('data-collection-index'), 10)];
+        const openBtn = element.querySelector('.collection-open-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => switchCollection(collection.id));
+        }
+        element.querySelector('.collection-rename-btn').addEventListener('click', () => renameCollection(collection));
+        element.querySelector('.collection-export-btn').addEventListener('click', function() {
+            exportCollection(collection, this);
+        });
+        element.querySelector('.collection-delete-btn').addEventListener('click', () => deleteCollection(collection));
+    });
+}
+
+// Show another collection. Undo history and the selection belong to the collection
+// being left, so they are cleared.
+async function switchCollection(collectionId) {
+    try {
+        if (currentEditingCarId) {
+            cancelForm();
+        }
+        await CollectionStorage.setActive(collectionId);
+        UndoHistory.clear();
+        selectedCarIds.clear();
+        lastSelectedCarId = null;
+        await loadCars();
+        await loadCollections();
+        await renderTrash();
+        CarCompare.clearComparison(); // Also redraws the cars
+    } catch (error) {
+        console.error('Error switching collection:', error);
+        alert('Error switching collection. Please try again.');
+    }
+}
+
+// Ask for a name and create an empty collection, then switch to it
+async function createCollection() {
+    const name = (prompt('Name of the new collection:', getUniqueCollectionName('New Collection')) || '').trim();
+    if (!name) return;
+    
+    try {
+        await switchCollection(await CollectionStorage.add(getUniqueCollectionName(name)));
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        alert('Error creating the collection. Please try again.');
+    }
+}
+
+async function renameCollection(collection) {
+    const name = (prompt('New name for the collection:', collection.name) || '').trim();
+    if (!name || name === collection.name) return;
+    
+    try {
+        await CollectionStorage.rename(collection.id, name);
+        await loadCollections();
+        renderCollectionSwitcher();
+    } catch (error) {
+        console.error('Error renaming collection:', error);
+        alert('Error renaming the collection. Please try again.');
+    }
+}
+
+// Permanently delete a collection and its cars (switching away first if it is showing)
+async function deleteCollection(collection) {
+    if (collections.length === 1) return;
+    const count = getCollectionCarCount(collection);
+    if (!confirm(`Delete the collection "${collection.name}" and its ${count} car${count === 1 ? '' : 's'}? This can't be undone.`)) return;
+    
+    try {
+        if (collection.id === CollectionStorage.getActiveId()) {
+            await switchCollection(collections.find(other => other.id !== collection.id).id);
+        }
+        await CollectionStorage.delete(collection.id);
+        await CarPhotos.loadPhotoSummaries();
+        await loadCollections();
+        renderCollectionSwitcher();
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        alert('Error deleting the collection. Please try again.');
+    }
+}
+
+// Show what's wrong with the parts of a search query that couldn't be understood
+function updateSearchQueryHint(searchTerm) {
+    const hint = document.getElementById('searchQueryHint');
+    const searchInput = document.getElementById('searchCarsInput');
+    if (!hint) return;
+    
+    const { errors } = CarSearch.parseQuery(searchTerm);
+    hint.textContent = errors.map(error => error.message).join(' · ');
+    hint.style.display = errors.length > 0 ? 'block' : 'none';
+    searchInput.classList.toggle('search-input-error', errors.length > 0);
+}
+
+// Get the cars in the current view (search, filters and sort applied)
+function getCurrentViewCars(searchTerm = '') {
     const searchInput = document.getElementById('searchCarsInput');
     const search = searchTerm || (searchInput ? searchInput.value.trim() : '');
     
-    let filteredCars = applySearchAndFilters(allCars, search);
+    CarScoring.refreshScores(allCars);
+    return applySearchAndFilters(allCars, search);
+}
+
+// Display cars in the list
+function displayCars(searchTerm = '') {
+    let filteredCars = getCurrentViewCars(searchTerm);
     
     updateCarsCount(filteredCars.length);
+    CarCompare.updateCompareControls();
+    renderRangeFilterPanel();
+    renderFilterPresets();
+    renderAgendaPanel();
+    renderDuplicatesPanel();
+    renderQualityReport();
+    renderCollectionSwitcher();
     
     if (currentView === 'table') {
         displayCarsTable(filteredCars);
+    } else if (currentView === 'board') {
+        displayCarsBoard(filteredCars);
+    } else if (currentView === 'dashboard') {
+        MarketStats.renderMarketDashboard(filteredCars, { onOpen: editCar });
     } else {
         displayCarsCards(filteredCars);
     }
 }
 
-// Apply search and filters
-function applySearchAndFilters(cars, searchTerm = '') {
+// Apply search and filters (the current filters unless others are given)
+function applySearchAndFilters(cars, searchTerm = '', filters = currentFilters) {
     let filtered = [...cars];
     
-    // Apply search
+    // Apply search (terms that can't be parsed are skipped and reported by updateSearchQueryHint)
     if (searchTerm) {
-        const searchLower = searchTerm.toLowerCase();
-        filtered = filtered.filter(car => {
-            return (
-                (car.registration && car.registration.toLowerCase().includes(searchLower)) ||
-                (car.spec && car.spec.toLowerCase().includes(searchLower)) ||
-                (car.comments && car.comments.toLowerCase().includes(searchLower)) ||
-                (car.contact && car.contact.toLowerCase().includes(searchLower)) ||
-                (car.rating && String(car.rating).includes(searchLower))
-            );
-        });
+        const query = CarSearch.parseQuery(searchTerm);
+        filtered = filtered.filter(car => CarSearch.matchesQuery(car, query));
     }
     
     // Apply filters
-    if (currentFilters.star !== 'all') {
+    if (filters.star !== 'all') {
         filtered = filtered.filter(car => {
             const isStarred = car.starred === true;
-            return currentFilters.star === 'starred' ? isStarred : !isStarred;
+            return filters.star === 'starred' ? isStarred : !isStarred;
         });
     }
     
-    if (currentFilters.flag !== 'all') {
+    if (filters.flag !== 'all') {
         filtered = filtered.filter(car => {
             const isFlagged = car.flagged === true;
-            return currentFilters.flag === 'flagged' ? isFlagged : !isFlagged;
+            return filters.flag === 'flagged' ? isFlagged : !isFlagged;
         });
     }
     
-    if (currentFilters.transmission !== 'all') {
-        filtered = filtered.filter(car => car.transmission === currentFilters.transmission);
+    if (filters.transmission !== 'all') {
+        filtered = filtered.filter(car => car.transmission === filters.transmission);
+    }
+    
+    if (filters.fuelType !== 'all') {
+        filtered = filtered.filter(car => car.fuelType === filters.fuelType);
+    }
+    
+    if (filters.status && filters.status !== 'all') {
+        filtered = filtered.filter(car => CarPipeline.getCarStatus(car) === filters.status);
+    }
+    
+    if (filters.history && CarHistory.HISTORY_FILTERS[filters.history]) {
+        filtered = filtered.filter(CarHistory.HISTORY_FILTERS[filters.history].matches);
     }
     
-    if (currentFilters.fuelType !== 'all') {
-        filtered = filtered.filter(car => car.fuelType === currentFilters.fuelType);
+    if (RangeFilters.countActiveRanges(filters.ranges) > 0) {
+        filtered = filtered.filter(car => RangeFilters.matchesRanges(car, filters.ranges));
     }
     
     // Apply sorting
@@ -529,13 +962,23 @@ function applySearchAndFilters(cars, searchTerm = '') {
     return filtered;
 }
 
+// Sortable columns whose values are computed from the car rather than stored on it
+const COMPUTED_SORT_COLUMNS = {
+    priceDrop: car => PriceHistory.getPriceDrop(car),
+    score: car => CarScoring.getScore(car),
+    tco: car => CarTco.getTco(car),
+    monthlyPayment: car => CarFinance.getMonthlyPayment(car),
+    status: car => CarPipeline.getStatusOrder(car)
+};
+
 // Apply sorting to cars array
 function applySorting(cars, column, direction) {
     const sorted = [...cars];
+    const computeValue = COMPUTED_SORT_COLUMNS[column];
     
     sorted.sort((a, b) => {
-        let aVal = a[column];
-        let bVal = b[column];
+        let aVal = computeValue ? computeValue(a) : a[column];
+        let bVal = computeValue ? computeValue(b) : b[column];
         
         // Handle null/undefined values
         if (aVal == null) aVal = '';
@@ -543,7 +986,7 @@ function applySorting(cars, column, direction) {
         
         // Handle numeric columns
         if (column === 'price' || column === 'mileage' || column === 'engineSize' || 
-            column === 'insuranceGroup' || column === 'rating' || column === 'year') {
+            column === 'insuranceGroup' || column === 'rating' || column === 'year' || computeValue) {
             aVal = aVal === '' ? 0 : parseFloat(aVal) || 0;
             bVal = bVal === '' ? 0 : parseFloat(bVal) || 0;
             
@@ -608,32 +1051,63 @@ function applyFilters() {
     displayCars();
 }
 
-// Switch between card and table view
+// Switch between card, table and board view
 function switchView(view) {
     currentView = view;
     
     const cardBtn = document.getElementById('cardViewBtn');
     const tableBtn = document.getElementById('tableViewBtn');
+    const boardBtn = document.getElementById('boardViewBtn');
+    const dashboardBtn = document.getElementById('dashboardViewBtn');
     const carsList = document.getElementById('carsList');
     const carsTableContainer = document.getElementById('carsTableContainer');
+    const kanbanBoard = document.getElementById('kanbanBoard');
+    const marketDashboard = document.getElementById('marketDashboard');
+    
+    cardBtn.classList.toggle('active', view === 'card');
+    tableBtn.classList.toggle('active', view === 'table');
+    boardBtn.classList.toggle('active', view === 'board');
+    dashboardBtn.classList.toggle('active', view === 'dashboard');
+    if (carsList) carsList.style.display = view === 'card' ? 'block' : 'none';
+    if (carsTableContainer) carsTableContainer.style.display = view === 'table' ? 'block' : 'none';
+    if (kanbanBoard) kanbanBoard.style.display = view === 'board' ? 'flex' : 'none';
+    if (marketDashboard) marketDashboard.style.display = view === 'dashboard' ? 'block' : 'none';
     
     if (view === 'table') {
-        cardBtn.classList.remove('active');
-        tableBtn.classList.add('active');
-        if (carsList) carsList.style.display = 'none';
-        if (carsTableContainer) carsTableContainer.style.display = 'block';
         // Update sort indicators when switching to table view
         updateSortIndicators();
-    } else {
-        cardBtn.classList.add('active');
-        tableBtn.classList.remove('active');
-        if (carsList) carsList.style.display = 'block';
-        if (carsTableContainer) carsTableContainer.style.display = 'none';
     }
     
     displayCars();
 }
 
+// Display cars in board view (one column per pipeline status)
+function displayCarsBoard(filteredCars) {
+    CarPipeline.renderKanbanBoard(filteredCars, {
+        onMove: setCarStatus,
+        onOpen: editCar
+    });
+}
+
+// Move a car to another pipeline status
+async function setCarStatus(carId, status) {
+    const car = allCars.find(c => c.id === carId);
+    if (!car) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    car.status = status;
+    
+    try {
+        await CarStorage.save(car);
+        await loadCars();
+        recordUndoableAction(`Moved ${car.registration || 'car'} to ${status}`, before);
+        displayCars();
+    } catch (error) {
+        console.error('Error changing status:', error);
+        alert('Error changing the status. Please try again.');
+    }
+}
+
 // Setup comment tooltip
 function setupCommentTooltip(element, fullComment) {
     if (!fullComment || fullComment.trim() === '') return;
@@ -783,6 +1257,19 @@ function attachCarActionListeners(car, viewType = 'card') {
         });
     }
     
+    // Compare button - card uses 'compare-car-btn', table uses 'table-compare-btn'
+    const compareBtnSelector = viewType === 'card' ? '.compare-car-btn' : '.table-compare-btn';
+    const compareBtn = document.querySelector(`${baseSelector} ${compareBtnSelector}`);
+    if (compareBtn) {
+        compareBtn.addEventListener('click', (e) => {
+            if (viewType === 'card') {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            CarCompare.toggleCompareCar(car.id);
+        });
+    }
+    
     // Vehicle score button - card uses 'open-vehicle-score-btn', table uses 'table-vehicle-score-btn'
     const vehicleScoreBtnSelector = viewType === 'card' ? '.open-vehicle-score-btn' : '.table-vehicle-score-btn';
     const vehicleScoreBtn = document.querySelector(`${baseSelector} ${vehicleScoreBtnSelector}`);
@@ -792,6 +1279,16 @@ function attachCarActionListeners(car, viewType = 'card') {
         });
     }
     
+    // Photo thumbnail - same class in both views
+    const photosBtn = document.querySelector(`${baseSelector} .open-photos-btn`);
+    if (photosBtn) {
+        photosBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            CarPhotos.openLightbox(car.id);
+        });
+    }
+    
     // Website link button - card uses 'open-website-link-btn', table uses 'table-website-link-btn'
     const websiteLinkBtnSelector = viewType === 'card' ? '.open-website-link-btn' : '.table-website-link-btn';
     const websiteLinkBtn = document.querySelector(`${baseSelector} ${websiteLinkBtnSelector}`);
@@ -810,8 +1307,10 @@ function displayCarsTable(filteredCars) {
     // Update sort indicators
     updateSortIndicators();
     
+    updateBulkActionBar(filteredCars);
+    
     if (filteredCars.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="18" style="text-align: center; padding: 40px; color: #999;">No cars match the current filters</td></tr>';
+        tableBody.innerHTML = '<tr><td colspan="24" style="text-align: center; padding: 40px; color: #999;">No cars match the current filters</td></tr>';
         return;
     }
     
@@ -823,6 +1322,12 @@ function displayCarsTable(filteredCars) {
         
         attachCarActionListeners(car, 'table');
         
+        // Selection checkbox (table-specific)
+        const selectCheckbox = document.querySelector(`[data-car-id="${car.id}"] .table-select-checkbox`);
+        if (selectCheckbox) {
+            selectCheckbox.addEventListener('click', (e) => handleRowSelection(car.id, e.target.checked, e.shiftKey));
+        }
+        
         // Add comment hover tooltip (table-specific)
         const commentCell = document.querySelector(`[data-car-id="${car.id}"] .comment-cell`);
         if (commentCell) {
@@ -845,16 +1350,22 @@ function escapeHtml(text) {
 // Create table row for a car
 function createCarTableRow(car) {
     const price = CarUtils.formatPrice(car.price);
+    const priceDrop = PriceHistory.getPriceDrop(car);
     const mileage = CarUtils.formatMileage(car.mileage);
     const rating = CarUtils.formatRating(car.rating);
     const displayUrl = CarUtils.formatUrlForDisplay(car.websiteLink, 50);
+    const isComparing = CarCompare.isInComparison(car.id);
+    const isSelected = selectedCarIds.has(car.id);
     
     // Escape comment for data attribute
     const escapedComment = escapeHtml(car.comments || '');
     const commentDisplay = car.comments ? (car.comments.length > 50 ? car.comments.substring(0, 50) + '...' : car.comments) : '';
     
     return `
-        <tr data-car-id="${car.id}">
+        <tr data-car-id="${car.id}" class="${isSelected ? 'row-selected' : ''}">
+            <td class="select-col text-center">
+                <input type="checkbox" class="table-select-checkbox" ${isSelected ? 'checked' : ''} title="Select (shift-click to select a range)" aria-label="Select ${escapeHtml(car.registration || 'car')}">
+            </td>
             <td class="sticky-col text-center" style="width: 50px;">
                 <button class="table-star-btn ${car.starred ? 'starred' : ''}" title="${car.starred ? 'Remove from shortlist' : 'Add to shortlist'}">
                     ${car.starred ? '⭐' : '☆'}
@@ -865,17 +1376,22 @@ function createCarTableRow(car) {
                     ${car.flagged ? '🚩' : '⚐'}
                 </button>
             </td>
-            <td style="min-width: 120px;"><strong>${car.registration || ''}</strong></td>
+            <td style="min-width: 120px;">${CarPhotos.renderCoverThumbnail(car)}<strong class="plate-text">${UkPlates.formatPlate(car.registration)}</strong></td>
+            <td style="min-width: 110px;">${CarPipeline.renderStatusBadge(car)}</td>
             <td style="min-width: 80px;">${car.year || ''}</td>
             <td style="min-width: 180px;">${car.spec || ''}</td>
-            <td style="min-width: 100px;">${price}</td>
-            <td style="min-width: 100px;">${mileage}</td>
+            <td style="min-width: 100px;">${price}${priceDrop > 0 ? ' <span class="price-drop-badge" title="Price dropped">↓</span>' : ''}</td>
+            <td style="min-width: 110px;">${priceDrop > 0 ? `<span class="price-change-down">${CarUtils.formatPrice(priceDrop)}</span> ` : ''}${PriceHistory.renderPriceSparkline(car, 50, 16)}</td>
+            <td style="min-width: 100px;">${mileage}${CarHistory.renderMileageWarning(car)}</td>
             <td style="min-width: 80px;">${car.engineSize ? car.engineSize + 'L' : ''}</td>
             <td style="min-width: 100px;">${car.transmission || ''}</td>
             <td style="min-width: 80px;">${car.fuelType || ''}</td>
             <td style="min-width: 120px;">${car.colors || ''}</td>
             <td style="min-width: 100px;">${car.insuranceGroup || ''}</td>
             <td style="min-width: 120px;">${rating}</td>
+            <td class="text-center" style="min-width: 70px;">${CarScoring.renderScoreBadge(car)}</td>
+            <td style="min-width: 90px;">${CarTco.renderTcoCell(car)}</td>
+            <td class="finance-col" style="min-width: 100px;">${CarFinance.renderMonthlyPaymentCell(car)}</td>
             <td style="min-width: 150px;">${car.contact || ''}</td>
             <td class="comment-cell" style="min-width: 200px; max-width: 300px;" data-full-comment="${escapedComment}">${commentDisplay}</td>
             <td style="min-width: 200px;">${car.websiteLink ? `<a href="${car.websiteLink}" target="_blank" class="table-link">${displayUrl}</a>` : ''}</td>
@@ -884,6 +1400,7 @@ function createCarTableRow(car) {
                 <div style="display: flex; gap: 5px; justify-content: flex-end;">
                     ${car.vehicleScore ? `<button class="table-vehicle-score-btn" title="Open Vehicle Score">📊</button>` : ''}
                     ${car.websiteLink ? `<button class="table-website-link-btn" title="Open Website">🔗</button>` : ''}
+                    <button class="table-compare-btn ${isComparing ? 'comparing' : ''}" title="${isComparing ? 'Remove from comparison' : 'Add to comparison'}">⚖️</button>
                     <button class="table-edit-btn" title="Edit">✏️</button>
                     <button class="table-delete-btn" title="Delete">🗑️</button>
                 </div>
@@ -897,11 +1414,13 @@ async function toggleStar(carId) {
     const car = allCars.find(c => c.id === carId);
     if (!car) return;
     
+    const before = UndoHistory.snapshotCars(allCars);
     car.starred = !car.starred;
     
     try {
         await CarStorage.save(car);
         await loadCars();
+        recordUndoableAction(`${car.starred ? 'Starred' : 'Unstarred'} ${car.registration || 'car'}`, before);
         displayCars();
     } catch (error) {
         console.error('Error toggling star:', error);
@@ -913,64 +1432,251 @@ async function toggleFlag(carId) {
     const car = allCars.find(c => c.id === carId);
     if (!car) return;
     
+    const before = UndoHistory.snapshotCars(allCars);
     car.flagged = !car.flagged;
     
     try {
         await CarStorage.save(car);
         await loadCars();
+        recordUndoableAction(`${car.flagged ? 'Flagged' : 'Unflagged'} ${car.registration || 'car'}`, before);
         displayCars();
     } catch (error) {
         console.error('Error toggling flag:', error);
     }
 }
 
-// Create car card HTML (handles both minimal and full entries)
-function createCarCard(car) {
-    const hasDetails = car.price || car.mileage || car.year || car.spec || car.comments;
-    const isMinimal = !hasDetails && (car.websiteLink || car.registration);
+// Select or deselect a car from its table checkbox. Shift-click applies the same
+// state to every car between it and the last clicked car in the current view.
+function handleRowSelection(carId, checked, shiftKey) {
+    const viewIds = getCurrentViewCars().map(car => car.id);
+    const lastIndex = viewIds.indexOf(lastSelectedCarId);
+    const ids = shiftKey && lastIndex !== -1
+        ? viewIds.slice(Math.min(lastIndex, viewIds.indexOf(carId)), Math.max(lastIndex, viewIds.indexOf(carId)) + 1)
+        : [carId];
+    
+    ids.forEach(id => {
+        if (checked) {
+            selectedCarIds.add(id);
+        } else {
+            selectedCarIds.delete(id);
+        }
+    });
+    lastSelectedCarId = carId;
+    displayCars();
+}
+
+// Select or deselect every car in the current (filtered) view
+function toggleSelectAll(checked) {
+    getCurrentViewCars().forEach(car => {
+        if (checked) {
+            selectedCarIds.add(car.id);
+        } else {
+            selectedCarIds.delete(car.id);
+        }
+    });
+    lastSelectedCarId = null;
+    displayCars();
+}
+
+// Clear the table selection
+function clearSelection() {
+    selectedCarIds.clear();
+    lastSelectedCarId = null;
+    displayCars();
+}
+
+// Show the bulk action bar and select-all state for the visible cars. Selected cars that the
+// filters hide don't count, and bulk actions leave them alone.
+function updateBulkActionBar(visibleCars) {
+    const bar = document.getElementById('bulkActionBar');
+    const selectAll = document.getElementById('selectAllCarsCheckbox');
+    const selectedCount = visibleCars.filter(car => selectedCarIds.has(car.id)).length;
+    
+    if (bar) {
+        bar.style.display = selectedCount > 0 ? 'flex' : 'none';
+        document.getElementById('bulkSelectedCount').textContent = `${selectedCount} selected`;
+    }
+    if (selectAll) {
+        selectAll.checked = visibleCars.length > 0 && selectedCount === visibleCars.length;
+        selectAll.indeterminate = selectedCount > 0 && selectedCount < visibleCars.length;
+    }
+}
     
-    // Format values
-    const price = car.price ? CarUtils.formatPrice(car.price) : null;
-    const mileage = car.mileage ? CarUtils.formatMileage(car.mileage) : null;
-    const year = car.year || null;
-    const transmission = car.transmission || null;
-    const fuelType = car.fuelType || null;
-    const colors = car.colors || null;
-    const spec = car.spec || null;
-    const rating = car.rating || null;
-    const ratingDisplay = rating ? CarUtils.formatRatingWithNumber(rating) : '';
-    const displayUrl = car.websiteLink ? (() => {
-        try {
-            const urlObj = new URL(car.websiteLink);
-            return `${urlObj.origin}${urlObj.pathname}`;
-        } catch (e) {
-            return car.websiteLink;
+// The selected cars in the current (filtered) view
+function getSelectedCars() {
+    return getCurrentViewCars().filter(car => selectedCarIds.has(car.id));
+}
+
+// Apply a change to every selected car and save them in one transaction (one undo step)
+async function bulkUpdateSelected(label, update) {
+    const cars = getSelectedCars();
+    if (cars.length === 0) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    cars.forEach(update);
+    
+    try {
+        await CarStorage.saveMany(cars);
+        await loadCars();
+        recordUndoableAction(`${label} ${cars.length} car${cars.length === 1 ? '' : 's'}`, before, { showToast: true });
+        displayCars();
+    } catch (error) {
+        console.error('Error updating selected cars:', error);
+        alert('Error updating the selected cars. Please try again.');
+        await loadCars();
+        displayCars();
+    }
+}
+
+// Move every selected car to the trash in one transaction
+async function bulkDeleteSelected() {
+    const cars = getSelectedCars();
+    if (cars.length === 0) return;
+    if (!confirm(`Delete ${cars.length} selected car${cars.length === 1 ? '' : 's'}? They will be moved to the trash.`)) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    const ids = cars.map(car => car.id);
+    
+    try {
+        const deleted = await CarStorage.deleteMany(ids);
+        await loadCars();
+        recordUndoableAction(`Deleted ${deleted} car${deleted === 1 ? '' : 's'}`, before, { showToast: true });
+        renderTrash();
+        
+        if (ids.includes(currentEditingCarId)) {
+            cancelForm();
         }
-    })() : '';
+        clearSelection();
+    } catch (error) {
+        console.error('Error deleting selected cars:', error);
+        alert('Error deleting the selected cars. Please try again.');
+    }
+}
+
+// Export the selected cars as a JSON file that can be imported again
+function bulkExportSelected() {
+    const cars = getSelectedCars();
+    if (cars.length === 0) return;
     
-    return `
-        <div class="car-card ${isMinimal ? 'car-card-minimal' : ''} ${car.starred ? 'car-card-starred' : ''} ${car.flagged ? 'car-card-flagged' : ''}" data-car-id="${car.id}">
-            <div class="car-card-header">
-                <div style="flex: 1;">
-                    <div style="display: flex; align-items: center; gap: 10px;">
-                        <button class="btn-icon star-car-btn ${car.starred ? 'starred' : ''}" title="${car.starred ? 'Remove from shortlist' : 'Add to shortlist'}" style="padding: 4px 8px; font-size: 1.2em; background: transparent; border: none;">
+    try {
+        const dataStr = JSON.stringify(createExportData(cars), null, 2);
+        CarUtils.downloadFile(dataStr, `car-data-selected-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        CarUtils.showButtonFeedback(document.getElementById('bulkExportBtn'), '✓ Exported!');
+    } catch (error) {
+        console.error('Error exporting selected cars:', error);
+        alert('Error exporting the selected cars. Please try again.');
+    }
+}
+
+// Move or copy every selected car to another collection (one undo step). Copies get new IDs
+// and their own copies of the photos.
+async function copySelectedToCollection(collectionId, move) {
+    const cars = getSelectedCars();
+    const collection = collections.find(c => c.id === collectionId);
+    if (cars.length === 0 || !collection) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    let changedCars = cars;
+    
+    try {
+        if (move) {
+            cars.forEach(car => {
+                car.collectionId = collectionId;
+            });
+            await CarStorage.saveMany(cars);
+            if (cars.some(car => car.id === currentEditingCarId)) {
+                cancelForm();
+            }
+            selectedCarIds.clear();
+        } else {
+            changedCars = [];
+            let photoCount = 0;
+            for (const car of UndoHistory.snapshotCars(cars)) {
+                const originalId = car.id;
+                delete car.id;
+                car.collectionId = collectionId;
+                car.id = await CarStorage.save(car);
+                changedCars.push(car);
+                
+                const photos = await PhotoStorage.getForCar(originalId);
+                for (const photo of photos) {
+                    const { id, ...copy } = photo;
+                    await PhotoStorage.add({ ...copy, carId: car.id });
+                }
+                photoCount += photos.length;
+            }
+            if (photoCount > 0) {
+                await CarPhotos.loadPhotoSummaries();
+            }
+        }
+        
+        await loadCars();
+        await loadCollections();
+        const label = `${move ? 'Moved' : 'Copied'} ${cars.length} car${cars.length === 1 ? '' : 's'} to ${collection.name}`;
+        recordUndoableAction(label, before, { showToast: true, otherCollectionCars: changedCars });
+        displayCars();
+    } catch (error) {
+        console.error('Error moving cars to another collection:', error);
+        alert('Error moving the selected cars. Please try again.');
+        await loadCars();
+        await loadCollections();
+        displayCars();
+    }
+}
+
+// Create car card HTML (handles both minimal and full entries)
+function createCarCard(car) {
+    const hasDetails = car.price || car.mileage || car.year || car.spec || car.comments;
+    const isMinimal = !hasDetails && (car.websiteLink || car.registration);
+    
+    // Format values
+    const price = car.price ? CarUtils.formatPrice(car.price) : null;
+    const mileage = car.mileage ? CarUtils.formatMileage(car.mileage) : null;
+    const year = car.year || null;
+    const transmission = car.transmission || null;
+    const fuelType = car.fuelType || null;
+    const colors = car.colors || null;
+    const spec = car.spec || null;
+    const rating = car.rating || null;
+    const ratingDisplay = rating ? CarUtils.formatRatingWithNumber(rating) : '';
+    const isComparing = CarCompare.isInComparison(car.id);
+    const nextAppointment = CarAppointments.getNextAppointment(car);
+    const displayUrl = car.websiteLink ? (() => {
+        try {
+            const urlObj = new URL(car.websiteLink);
+            return `${urlObj.origin}${urlObj.pathname}`;
+        } catch (e) {
+            return car.websiteLink;
+        }
+    })() : '';
+    
+    return `
+        <div class="car-card ${isMinimal ? 'car-card-minimal' : ''} ${car.starred ? 'car-card-starred' : ''} ${car.flagged ? 'car-card-flagged' : ''}" data-car-id="${car.id}">
+            <div class="car-card-header">
+                <div style="flex: 1;">
+                    <div style="display: flex; align-items: center; gap: 10px;">
+                        <button class="btn-icon star-car-btn ${car.starred ? 'starred' : ''}" title="${car.starred ? 'Remove from shortlist' : 'Add to shortlist'}" style="padding: 4px 8px; font-size: 1.2em; background: transparent; border: none;">
                             ${car.starred ? '⭐' : '☆'}
                         </button>
                         <button class="btn-icon flag-car-btn ${car.flagged ? 'flagged' : ''}" title="${car.flagged ? 'Remove flag' : 'Flag this car'}" style="padding: 4px 8px; font-size: 1.2em; background: transparent; border: none;">
                             ${car.flagged ? '🚩' : '⚐'}
                         </button>
-                        <div class="car-card-reg">${car.registration || 'No Registration'}</div>
+                        ${CarPhotos.renderCoverThumbnail(car, 'photo-thumb photo-thumb-card')}
+                        <div class="car-card-reg">${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}</div>
+                        ${CarPipeline.renderStatusBadge(car)}
                     </div>
                     ${ratingDisplay ? `<div style="margin-top: 5px; font-size: 0.9em;">${ratingDisplay}</div>` : ''}
                 </div>
                 <div class="car-card-actions">
                     ${car.vehicleScore ? `<button class="btn-icon btn-open open-vehicle-score-btn" title="Open Vehicle Score">📊</button>` : ''}
                     ${car.websiteLink ? `<button class="btn-icon btn-open open-website-link-btn" title="Open Website">🔗</button>` : ''}
+                    <button class="btn-icon compare-car-btn ${isComparing ? 'comparing' : ''}" title="${isComparing ? 'Remove from comparison' : 'Add to comparison'}">⚖️</button>
                     <button class="btn-icon btn-edit edit-car-btn" title="Edit">✏️</button>
                     <button class="btn-icon btn-delete delete-car-btn" title="Delete">🗑️</button>
                 </div>
             </div>
             <div class="car-card-body">
+                ${nextAppointment ? `<div class="car-card-appointment">${CarAppointments.formatAppointmentSummary(nextAppointment)}</div>` : ''}
                 ${isMinimal ? `
                     <div class="car-card-row">
                         ${displayUrl ? `<span class="car-card-label">Website:</span> <span><a href="${car.websiteLink}" target="_blank" style="color: #667eea; text-decoration: none;">${displayUrl}</a></span>` : ''}
@@ -981,7 +1687,7 @@ function createCarCard(car) {
                 ` : `
                     ${year || price || mileage ? `<div class="car-card-row">
                         ${year ? `<span class="car-card-label">Year:</span> <span>${year}</span>` : ''}
-                        ${price ? `<span class="car-card-label">Price:</span> <span>${price}</span>` : ''}
+                        ${price ? `<span class="car-card-label">Price:</span> <span>${price} ${PriceHistory.renderPriceDropBadge(car)} ${PriceHistory.renderPriceSparkline(car)}</span>` : ''}
                         ${mileage ? `<span class="car-card-label">Mileage:</span> <span>${mileage}</span>` : ''}
                     </div>` : ''}
                     ${transmission || fuelType || car.engineSize ? `<div class="car-card-row">
@@ -993,9 +1699,22 @@ function createCarCard(car) {
                         ${colors ? `<span class="car-card-label">Colors:</span> <span>${colors}</span>` : ''}
                         ${car.insuranceGroup ? `<span class="car-card-label">Insurance Group:</span> <span>${car.insuranceGroup}</span>` : ''}
                     </div>` : ''}
+                    ${CarHistory.renderHistorySummary(car) ? `<div class="car-card-row">
+                        <span class="car-card-label">History:</span> <span>${CarHistory.renderHistorySummary(car)}</span>
+                    </div>` : ''}
                     ${ratingDisplay ? `<div class="car-card-row">
                         <span class="car-card-label">Rating:</span> <span>${ratingDisplay}</span>
                     </div>` : ''}
+                    ${CarScoring.getScore(car) !== null ? `<div class="car-card-row">
+                        <span class="car-card-label">Value Score:</span> <span>${CarScoring.renderScoreBadge(car)}</span>
+                        ${CarScoring.renderScoreBreakdown(car)}
+                    </div>` : ''}
+                    ${CarTco.getTco(car) !== null ? `<div class="car-card-row">
+                        <span class="car-card-label">Cost of Ownership (${CarTco.getHorizonYears()}y):</span> <span>${CarTco.renderTcoCell(car)}</span>
+                    </div>` : ''}
+                    ${CarFinance.getMonthlyPayment(car) !== null ? `<div class="car-card-row">
+                        <span class="car-card-label">Finance:</span> <span>${CarFinance.renderMonthlyPaymentCell(car)}</span>
+                    </div>` : ''}
                     ${spec ? `<div class="car-card-row">
                         <span class="car-card-label">Spec:</span> <span class="car-card-spec">${spec}</span>
                     </div>` : ''}
@@ -1021,6 +1740,12 @@ async function quickAddCar() {
         return;
     }
     
+    const plate = UkPlates.parsePlate(registration);
+    if (!plate.valid && !confirm(`${registration} doesn't look like a UK registration (${plate.message}). Add it anyway?`)) {
+        document.getElementById('quickRegInput').focus();
+        return;
+    }
+    
     // Check if car with this registration already exists
     const normalizedReg = CarUtils.normalizeRegistration(registration);
     const existingCar = allCars.find(c => 
@@ -1051,8 +1776,15 @@ async function quickAddCar() {
         }
     }
     
+    // Check if the same listing is already saved under another registration
+    const listingKey = cleanedUrl ? ListingUrls.getListingKey(cleanedUrl) : null;
+    const sameListingCar = listingKey ? allCars.find(c => c.websiteLink && ListingUrls.getListingKey(c.websiteLink) === listingKey) : null;
+    if (sameListingCar && !confirm(`This listing is already saved as ${sameListingCar.registration || 'another car'}. Add it again anyway?`)) {
+        return;
+    }
+    
     // Extract year from registration
-    const extractedYear = extractYearFromRegistration(registration);
+    const extractedYear = CarUtils.extractYearFromRegistration(registration);
     
     // Create minimal car entry
     const car = {
@@ -1063,8 +1795,10 @@ async function quickAddCar() {
     };
     
     try {
+        const before = UndoHistory.snapshotCars(allCars);
         const savedId = await CarStorage.save(car);
         await loadCars();
+        recordUndoableAction(`Added ${car.registration}`, before);
         
         const searchInput = document.getElementById('searchCarsInput');
         const searchTerm = searchInput ? searchInput.value.trim() : '';
@@ -1084,12 +1818,91 @@ async function quickAddCar() {
     }
 }
 
+// Parse the pasted listing text and show each detected detail with a checkbox to accept it
+function parseListingInput() {
+    const text = document.getElementById('listingTextInput').value;
+    const results = document.getElementById('listingParseResults');
+    parsedListingFields = text.trim() ? ListingParser.parseListingText(text) : [];
+    
+    if (parsedListingFields.length === 0) {
+        results.innerHTML = `<p class="price-timeline-empty">${text.trim() ? 'No car details found in this text' : 'Paste some listing text first'}</p>`;
+        document.getElementById('listingApplyActions').style.display = 'none';
+        return;
+    }
+    
+    // Compare with the form as it is now, so it's clear what would be overwritten
+    const formVisible = document.getElementById('carDetailsForm').style.display !== 'none';
+    const foundKeys = new Set(parsedListingFields.map(field => field.key));
+    const missing = ListingParser.PARSED_FIELDS.filter(field => !foundKeys.has(field.key)).map(field => field.label);
+    
+    results.innerHTML = `
+        <table class="merge-table listing-parse-table">
+            <thead><tr><th>Use</th><th>Field</th><th>Found</th><th>In form now</th><th>From text</th></tr></thead>
+            <tbody>
+                ${parsedListingFields.map((field, index) => {
+                    const current = formVisible ? document.getElementById(field.fieldId).value : '';
+                    return `
+                        <tr>
+                            <td><input type="checkbox" class="listing-field-checkbox" data-index="${index}" checked></td>
+                            <td>${field.label}</td>
+                            <td><strong>${formatMergeValue(field.key, field.value)}</strong></td>
+                            <td>${formatMergeValue(field.key, current)}</td>
+                            <td class="listing-parse-source">${escapeHtml(String(field.source))}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        ${missing.length > 0 ? `<p class="listing-parse-missing">Not found: ${missing.join(', ')}</p>` : ''}
+    `;
+    document.getElementById('listingApplyActions').style.display = 'flex';
+}
+
+// Put the ticked details into the car form (opening a new car form if none is open).
+// Nothing is saved until the form is saved, so the values can still be checked first.
+function applyParsedListing() {
+    const accepted = Array.from(document.querySelectorAll('.listing-field-checkbox:checked'))
+        .map(checkbox => parsedListingFields[parseInt(checkbox.getAttribute('data-index'), 10)]);
+    if (accepted.length === 0) {
+        alert('Tick at least one detail to add to the car form');
+        return;
+    }
+    
+    if (document.getElementById('carDetailsForm').style.display === 'none') {
+        showAddCarForm();
+    }
+    
+    accepted.forEach(field => {
+        const input = document.getElementById(field.fieldId);
+        input.value = field.value;
+        // Run the form's own listeners (field highlights, registration hint, finance summary)
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    
+    closeListingPastePanel();
+    document.getElementById('carDetailsForm').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function closeListingPastePanel() {
+    document.getElementById('listingPastePanel').style.display = 'none';
+    document.getElementById('listingTextInput').value = '';
+    document.getElementById('listingParseResults').innerHTML = '';
+    document.getElementById('listingApplyActions').style.display = 'none';
+    parsedListingFields = [];
+}
+
 // Show add car form
 function showAddCarForm() {
     currentEditingCarId = null;
     document.getElementById('formTitle').textContent = 'Add New Car';
     document.getElementById('deleteCarBtn').style.display = 'none';
     clearForm();
+    renderFormPriceHistory(null);
+    renderFormAppointments(null);
+    renderFormHistory(null);
+    renderFormTco(null);
+    renderFormFinance(null);
+    renderFormPhotos(null);
     document.getElementById('carDetailsForm').style.display = 'block';
     document.getElementById('carRegistration').focus();
     
@@ -1103,18 +1916,20 @@ async function editCar(carId) {
     if (!car) return;
     
     currentEditingCarId = carId;
+    formEditSession = `edit-${carId}-${Date.now()}`;
     document.getElementById('formTitle').textContent = 'Edit Car';
     document.getElementById('deleteCarBtn').style.display = 'inline-block';
     
     // Populate form
     document.getElementById('carRegistration').value = car.registration || '';
+    updateRegistrationHint();
     
     // Auto-fill year from registration if year is not already set
     const yearInput = document.getElementById('carYear');
     if (car.year) {
         yearInput.value = car.year;
     } else if (car.registration) {
-        const extractedYear = extractYearFromRegistration(car.registration);
+        const extractedYear = CarUtils.extractYearFromRegistration(car.registration);
         if (extractedYear) {
             yearInput.value = extractedYear;
         }
@@ -1128,14 +1943,29 @@ async function editCar(carId) {
     document.getElementById('carTransmission').value = car.transmission || 'Automatic';
     document.getElementById('carEngineSize').value = car.engineSize != null ? car.engineSize : '';
     document.getElementById('carFuelType').value = car.fuelType || 'Petrol';
+    document.getElementById('carStatus').value = CarPipeline.getCarStatus(car);
     document.getElementById('carColors').value = car.colors || '';
     document.getElementById('carInsuranceGroup').value = car.insuranceGroup != null ? car.insuranceGroup : '';
+    document.getElementById('carMpg').value = car.mpg != null ? car.mpg : '';
+    document.getElementById('carTaxBand').value = car.taxBand || '';
+    document.getElementById('carServiceCost').value = car.serviceCost != null ? car.serviceCost : '';
+    document.getElementById('carFinanceType').value = car.financeType || '';
+    document.getElementById('carFinanceDeposit').value = car.financeDeposit != null ? car.financeDeposit : '';
+    document.getElementById('carFinanceTermMonths').value = car.financeTermMonths != null ? car.financeTermMonths : '';
+    document.getElementById('carFinanceApr').value = car.financeApr != null ? car.financeApr : '';
+    document.getElementById('carFinanceBalloon').value = car.financeBalloon != null ? car.financeBalloon : '';
     document.getElementById('carRating').value = car.rating != null ? car.rating : '';
     document.getElementById('carSpec').value = car.spec || '';
     document.getElementById('carContact').value = car.contact || '';
     document.getElementById('carComments').value = car.comments || '';
     document.getElementById('carVehicleScore').value = car.vehicleScore || '';
     document.getElementById('carWebsiteLink').value = car.websiteLink || '';
+    renderFormPriceHistory(car);
+    renderFormAppointments(car);
+    renderFormHistory(car);
+    renderFormTco(car);
+    renderFormFinance(car);
+    renderFormPhotos(car);
     
     // Update visual states after populating form
     requestAnimationFrame(() => {
@@ -1156,6 +1986,146 @@ async function editCar(carId) {
     document.getElementById('carDetailsForm').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+// Show the price change timeline in the edit form (hidden for new cars)
+function renderFormPriceHistory(car) {
+    const group = document.getElementById('priceHistoryGroup');
+    if (!group) return;
+    
+    if (!car) {
+        group.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('priceHistoryTimeline').innerHTML = PriceHistory.renderPriceTimeline(car);
+    group.style.display = 'flex';
+}
+
+// Show the cost of ownership breakdown in the edit form (hidden while adding a new car)
+function renderFormTco(car) {
+    const group = document.getElementById('tcoGroup');
+    if (!group) return;
+    
+    if (!car) {
+        group.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('tcoBreakdown').innerHTML = CarTco.renderTcoBreakdown(car);
+    group.style.display = 'flex';
+}
+
+// Show the photo gallery in the edit form (hidden for new cars, which have no ID to attach photos to)
+async function renderFormPhotos(car) {
+    const group = document.getElementById('photosGroup');
+    if (!group) return;
+    
+    if (!car) {
+        group.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const urls = await CarPhotos.renderPhotoGallery(document.getElementById('photoGallery'), car.id, { onDelete: deletePhoto });
+        formPhotoUrls.forEach(url => URL.revokeObjectURL(url));
+        formPhotoUrls = urls;
+        group.style.display = 'flex';
+    } catch (error) {
+        console.error('Error loading photos:', error);
+        group.style.display = 'none';
+    }
+}
+
+// Attach image files to the car being edited
+async function addPhotosToCurrentCar(files) {
+    const carId = currentEditingCarId;
+    if (!carId || CarPhotos.getImageFiles(files).length === 0) return;
+    
+    const dropZone = document.getElementById('photoDropZone');
+    dropZone.classList.add('photo-drop-zone-busy');
+    try {
+        const result = await CarPhotos.addPhotos(carId, files);
+        await CarPhotos.loadPhotoSummaries();
+        await renderFormPhotos(allCars.find(c => c.id === carId));
+        displayCars();
+        if (result.failed.length > 0) {
+            alert(`Could not add ${result.failed.join(', ')}. Photos need a browser image format such as JPEG or PNG.`);
+        }
+    } catch (error) {
+        console.error('Error adding photos:', error);
+        alert('Error adding photos. Please try again.');
+    } finally {
+        dropZone.classList.remove('photo-drop-zone-busy');
+    }
+}
+
+// Delete one photo from the car being edited
+async function deletePhoto(photo) {
+    if (!confirm(`Delete photo "${photo.name}"?`)) return;
+    
+    try {
+        await PhotoStorage.delete(photo.id);
+        await CarPhotos.loadPhotoSummaries();
+        await renderFormPhotos(allCars.find(c => c.id === photo.carId));
+        displayCars();
+    } catch (error) {
+        console.error('Error deleting photo:', error);
+        alert('Error deleting photo. Please try again.');
+    }
+}
+
+// Show the finance repayments for the terms in the form. The final payment only applies to PCP.
+function renderFormFinance(car) {
+    const summary = document.getElementById('financeSummary');
+    if (!summary) return;
+    
+    const financeType = car ? car.financeType : '';
+    document.getElementById('carFinanceBalloon').disabled = financeType !== 'PCP';
+    summary.innerHTML = CarFinance.renderFinanceSummary(car);
+}
+
+// Load whether the monthly payment column is shown
+async function loadMonthlyPaymentColumn() {
+    try {
+        showMonthlyPaymentColumn = (await InputStorage.get('showMonthlyPaymentColumn')) === true;
+    } catch (error) {
+        console.error('Error loading monthly payment column setting:', error);
+    }
+    applyMonthlyPaymentColumn();
+}
+
+// Show or hide the monthly payment column and remember the choice
+async function setMonthlyPaymentColumn(show) {
+    showMonthlyPaymentColumn = show;
+    applyMonthlyPaymentColumn();
+    try {
+        await InputStorage.save('showMonthlyPaymentColumn', show);
+    } catch (error) {
+        console.error('Error saving monthly payment column setting:', error);
+    }
+}
+
+function applyMonthlyPaymentColumn() {
+    document.getElementById('carsTable').classList.toggle('hide-finance-col', !showMonthlyPaymentColumn);
+    document.getElementById('monthlyColumnBtn').classList.toggle('active', showMonthlyPaymentColumn);
+}
+
+// Show the TCO horizon in the table header
+function updateTcoColumnHeader() {
+    const header = document.querySelector('.sortable[data-column="tco"]');
+    if (header) {
+        header.firstChild.textContent = `TCO (${CarTco.getHorizonYears()}y) `;
+    }
+}
+
+// Refresh everything showing TCO after the assumptions change
+function refreshTcoViews() {
+    updateTcoColumnHeader();
+    displayCars();
+    if (currentEditingCarId) {
+        renderFormTco(allCars.find(c => c.id === currentEditingCarId));
+    }
+}
+
 // Clear form
 function clearForm() {
     document.getElementById('carRegistration').value = '';
@@ -1165,14 +2135,24 @@ function clearForm() {
     document.getElementById('carTransmission').value = 'Automatic';
     document.getElementById('carEngineSize').value = '';
     document.getElementById('carFuelType').value = 'Petrol';
+    document.getElementById('carStatus').value = CarPipeline.DEFAULT_STATUS;
     document.getElementById('carColors').value = '';
     document.getElementById('carInsuranceGroup').value = '';
+    document.getElementById('carMpg').value = '';
+    document.getElementById('carTaxBand').value = '';
+    document.getElementById('carServiceCost').value = '';
+    document.getElementById('carFinanceType').value = '';
+    document.getElementById('carFinanceDeposit').value = '';
+    document.getElementById('carFinanceTermMonths').value = '';
+    document.getElementById('carFinanceApr').value = '';
+    document.getElementById('carFinanceBalloon').value = '';
     document.getElementById('carRating').value = '';
     document.getElementById('carSpec').value = '';
     document.getElementById('carContact').value = '';
     document.getElementById('carComments').value = '';
     document.getElementById('carVehicleScore').value = '';
     document.getElementById('carWebsiteLink').value = '';
+    updateRegistrationHint();
 }
 
 // Save car
@@ -1191,11 +2171,17 @@ async function saveCar() {
         car.id = currentEditingCarId;
         const existingCar = allCars.find(c => c.id === currentEditingCarId);
         preserveCarMetadata(car, existingCar);
+    } else {
+        car.priceHistory = PriceHistory.recordPriceChange(null, car.price);
     }
     
     try {
+        const before = UndoHistory.snapshotCars(allCars);
         const savedId = await CarStorage.save(car);
         await loadCars();
+        recordUndoableAction(`${currentEditingCarId ? 'Edited' : 'Added'} ${car.registration}`, before, {
+            mergeKey: currentEditingCarId ? formEditSession : null
+        });
         
         const searchInput = document.getElementById('searchCarsInput');
         const searchTerm = searchInput ? searchInput.value.trim() : '';
@@ -1229,11 +2215,15 @@ async function autoSaveCar() {
     preserveCarMetadata(car, existingCar);
     
     try {
+        const before = UndoHistory.snapshotCars(allCars);
         await CarStorage.save(car);
         await loadCars();
+        recordUndoableAction(`Edited ${car.registration}`, before, { mergeKey: formEditSession });
         const searchInput = document.getElementById('searchCarsInput');
         const searchTerm = searchInput ? searchInput.value.trim() : '';
         displayCars(searchTerm);
+        renderFormPriceHistory(car);
+        renderFormTco(car);
     } catch (error) {
         console.error('Error auto-saving car:', error);
     }
@@ -1254,7 +2244,11 @@ async function deleteCar(carId) {
         return;
     }
     
-    if (!confirm('Are you sure you want to delete this car?')) return;
+    if (!confirm('Are you sure you want to delete this car? It will be moved to the trash.')) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    const deletedCar = allCars.find(c => c.id === carId || c.id === parseInt(carId, 10));
+    const deletedLabel = `Deleted ${deletedCar && deletedCar.registration ? deletedCar.registration : 'car'}`;
     
     try {
         // Ensure carId is the correct type (IndexedDB uses numbers, but we might have strings)
@@ -1265,6 +2259,8 @@ async function deleteCar(carId) {
         
         // Reload cars to refresh the list
         await loadCars();
+        recordUndoableAction(deletedLabel, before, { showToast: true });
+        renderTrash();
         
         const searchInput = document.getElementById('searchCarsInput');
         const searchTerm = searchInput ? searchInput.value.trim() : '';
@@ -1283,6 +2279,8 @@ async function deleteCar(carId) {
             if (carToDelete && carToDelete.id) {
                 await CarStorage.delete(carToDelete.id);
                 await loadCars();
+                recordUndoableAction(deletedLabel, before, { showToast: true });
+                renderTrash();
                 
                 const searchInput = document.getElementById('searchCarsInput');
                 const searchTerm = searchInput ? searchInput.value.trim() : '';
@@ -1304,6 +2302,7 @@ async function deleteCar(carId) {
 // Cancel form
 function cancelForm() {
     currentEditingCarId = null;
+    formEditSession = null;
     document.getElementById('carDetailsForm').style.display = 'none';
     clearForm();
 }
@@ -1328,27 +2327,21 @@ function openWebsiteLink() {
     }
 }
 
-// Helper function to extract year from UK number plate (current format only: 2001+)
-function extractYearFromRegistration(registration) {
-    if (!registration) return null;
+// Show the plate format and decoded details (or a warning) under the registration field
+function updateRegistrationHint() {
+    const hint = document.getElementById('registrationHint');
+    if (!hint) return;
     
-    const reg = CarUtils.normalizeRegistration(registration);
-    const match = reg.match(/^[A-Z]{2}(\d{2})[A-Z]{3}$/);
-    if (match) {
-        const yearCode = parseInt(match[1], 10);
-        
-        // Year codes 50-99: September-February of year 2000 + (code - 50)
-        if (yearCode >= 50 && yearCode <= 99) {
-            return 2000 + (yearCode - 50);
-        }
-        
-        // Year codes 0-49: March-August of year 2000 + code
-        if (yearCode >= 0 && yearCode <= 49) {
-            return 2000 + yearCode;
-        }
+    const registration = document.getElementById('carRegistration').value.trim();
+    if (!registration) {
+        hint.textContent = '';
+        hint.classList.remove('field-hint-warning');
+        return;
     }
     
-    return null;
+    const plate = UkPlates.parsePlate(registration);
+    hint.textContent = plate.valid ? UkPlates.describePlate(plate) : `⚠️ ${UkPlates.describePlate(plate)}`;
+    hint.classList.toggle('field-hint-warning', !plate.valid);
 }
 
 // Extract car data from form fields
@@ -1361,8 +2354,17 @@ function extractCarDataFromForm() {
         transmission: document.getElementById('carTransmission').value,
         engineSize: document.getElementById('carEngineSize').value ? parseFloat(document.getElementById('carEngineSize').value) : null,
         fuelType: document.getElementById('carFuelType').value,
+        status: document.getElementById('carStatus').value,
         colors: document.getElementById('carColors').value.trim(),
         insuranceGroup: document.getElementById('carInsuranceGroup').value ? parseInt(document.getElementById('carInsuranceGroup').value) : null,
+        mpg: document.getElementById('carMpg').value ? parseFloat(document.getElementById('carMpg').value) : null,
+        taxBand: document.getElementById('carTaxBand').value,
+        serviceCost: document.getElementById('carServiceCost').value ? parseFloat(document.getElementById('carServiceCost').value) : null,
+        financeType: document.getElementById('carFinanceType').value,
+        financeDeposit: document.getElementById('carFinanceDeposit').value ? parseFloat(document.getElementById('carFinanceDeposit').value) : null,
+        financeTermMonths: document.getElementById('carFinanceTermMonths').value ? parseInt(document.getElementById('carFinanceTermMonths').value) : null,
+        financeApr: document.getElementById('carFinanceApr').value ? parseFloat(document.getElementById('carFinanceApr').value) : null,
+        financeBalloon: document.getElementById('carFinanceBalloon').value ? parseFloat(document.getElementById('carFinanceBalloon').value) : null,
         rating: document.getElementById('carRating').value ? parseInt(document.getElementById('carRating').value) : null,
         spec: document.getElementById('carSpec').value.trim(),
         contact: document.getElementById('carContact').value.trim(),
@@ -1372,17 +2374,20 @@ function extractCarDataFromForm() {
     };
 }
 
-// Preserve existing car metadata (timestamp, starred, flagged)
+// Preserve existing car metadata (timestamp, starred, flagged, appointments, history) and log any price change
 function preserveCarMetadata(car, existingCar) {
     if (existingCar) {
         car.timestamp = existingCar.timestamp;
         car.starred = existingCar.starred || false;
         car.flagged = existingCar.flagged || false;
+        car.appointments = CarAppointments.getAppointments(existingCar);
+        car.history = CarHistory.getHistory(existingCar);
+        car.priceHistory = PriceHistory.recordPriceChange(existingCar, car.price, formEditSession);
     }
     return car;
 }
 
-// Clean website URL (for Autotrader and Motors.co.uk)
+// Clean website URL (see ListingUrls for the supported sites)
 function cleanWebsiteUrl() {
     const urlInput = document.getElementById('carWebsiteLink');
     const url = urlInput.value.trim();
@@ -1399,91 +2404,1103 @@ function cleanWebsiteUrl() {
         CarUtils.openInRightWindow(cleanedUrl);
         CarUtils.showButtonFeedback(document.getElementById('cleanWebsiteUrlBtn'), '✓ Cleaned!');
     } else {
-        alert('URL cleaner only works for Autotrader or Motors.co.uk links');
+        alert('Please enter a full web address, e.g. https://www.autotrader.co.uk/car-details/...');
     }
 }
 
-// Export data
-async function exportData() {
+// Build the contents of a JSON export file for the given cars (and their photos, for a full backup).
+// Collection IDs are local to this browser, so they're left out; importing puts the cars in the active collection.
+function createExportData(cars, photos = null, collection = null) {
+    const data = {
+        version: '1.0',
+        schemaVersion: DataMigrations.currentVersion,
+        exportDate: new Date().toISOString(),
+        cars: cars.map(car => {
+            const exported = { ...car };
+            delete exported.collectionId;
+            return exported;
+        })
+    };
+    if (collection) {
+        data.collection = { name: collection.name };
+    }
+    if (photos) {
+        data.photos = photos;
+    }
+    return data;
+}
+
+// Export a full backup of a collection's cars and their photos
+async function exportCollection(collection, button) {
     try {
-        const cars = await CarStorage.getAll();
-        const exportData = {
-            version: '1.0',
-            exportDate: new Date().toISOString(),
-            cars: cars
-        };
-        
-        const dataStr = JSON.stringify(exportData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `car-data-export-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        const cars = await CarStorage.getAll(collection.id);
+        const photos = await CarPhotos.exportPhotos(cars.map(car => car.id));
+        const dataStr = JSON.stringify(createExportData(cars, photos, collection), null, 2);
+        const slug = collection.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+        CarUtils.downloadFile(dataStr, `car-data-${slug}-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
         
         // Show success feedback
-        CarUtils.showButtonFeedback(document.getElementById('exportDataBtn'), '✓ Exported!');
+        CarUtils.showButtonFeedback(button, '✓ Exported!');
     } catch (error) {
         console.error('Error exporting data:', error);
         alert('Error exporting data. Please try again.');
     }
 }
 
-// Import data
+// Export data - a full backup of the collection being shown
+async function exportData() {
+    const activeCollection = collections.find(collection => collection.id === CollectionStorage.getActiveId());
+    await exportCollection(activeCollection, document.getElementById('exportDataBtn'));
+}
+
+// Import plan waiting for the user to review in the import preview
+let pendingImportPlan = null;
+
+// Import data - step 1: compare the file with the current collection and show the preview
 async function importData(event) {
     const file = event.target.files[0];
     if (!file) return;
     
-    if (!confirm('Importing data will add all cars from the file to your current collection. Continue?')) {
-        event.target.value = ''; // Reset file input
-        return;
-    }
-    
     try {
         const text = await file.text();
         const importData = JSON.parse(text);
         
-        if (!importData.cars || !Array.isArray(importData.cars)) {
-            throw new Error('Invalid file format');
+        // Upgrade older export files to the current schema
+        const cars = DataMigrations.upgradeExport(importData);
+        
+        pendingImportPlan = ImportMerge.buildImportPlan(allCars, cars);
+        pendingImportPlan.photos = Array.isArray(importData.photos) ? importData.photos : [];
+        showImportPreview();
+    } catch (error) {
+        console.error('Error importing data:', error);
+        alert(`Error importing data: ${error.message}. Please check the file format and try again.`);
+    }
+    
+    event.target.value = ''; // Reset file input
+}
+
+// Format a car field value for the import preview
+function formatMergeValue(key, value) {
+    if (key === 'starred' || key === 'flagged') return value ? 'Yes' : 'No';
+    if (value === null || value === undefined || value === '') return '<em class="merge-empty">empty</em>';
+    if (key === 'price') return CarUtils.formatPrice(value);
+    if (key === 'mileage') return CarUtils.formatMileage(value);
+    return escapeHtml(String(value));
+}
+
+// Render the import preview: new cars, identical cars and per-field conflicts
+function showImportPreview() {
+    const { newCars, identical, conflicts, duplicatesInFile, photos } = pendingImportPlan;
+    const globalStrategy = document.getElementById('importMergeStrategy').value;
+    const formatDate = car => car.updatedAt || car.timestamp ? new Date(car.updatedAt || car.timestamp).toLocaleDateString('en-GB') : 'unknown';
+    
+    const strategyOptions = selected => Object.entries(ImportMerge.MERGE_STRATEGIES)
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    
+    document.getElementById('importPreviewSummary').textContent =
+        `${newCars.length} new, ${identical.length} identical, ${conflicts.length} with changes` +
+        (duplicatesInFile > 0 ? `, ${duplicatesInFile} repeated in the file (ignored)` : '') +
+        (photos.length > 0 ? `, ${photos.length} photos` : '') + '.';
+    
+    const regList = cars => cars.map(car => `<span class="merge-reg">${escapeHtml(car.registration || 'No Registration')}</span>`).join(' ');
+    
+    document.getElementById('importPreviewBody').innerHTML = `
+        ${newCars.length > 0 ? `<h4>New cars (${newCars.length})</h4><p>${regList(newCars)}</p>` : ''}
+        ${identical.length > 0 ? `<h4>Identical cars (${identical.length})</h4><p>${regList(identical.map(item => item.existing))}</p>` : ''}
+        ${conflicts.length > 0 ? `<h4>Changed cars (${conflicts.length})</h4>` : ''}
+        ${conflicts.map((conflict, index) => `
+            <div class="merge-conflict">
+                <div class="merge-conflict-header">
+                    <strong>${escapeHtml(conflict.registration)}</strong>
+                    <span>Ours updated ${formatDate(conflict.existing)} · Theirs updated ${formatDate(conflict.incoming)}</span>
+                </div>
+                ${conflict.newRecords.length > 0 ? `<p class="description">Theirs adds ${conflict.newRecords.map(records => `${records.count} ${records.label}${records.count === 1 ? '' : 's'}`).join(' and ')}, which will be merged in.</p>` : ''}
+                ${conflict.fields.length > 0 ? `<table class="merge-table">
+                    <thead><tr><th>Field</th><th>Ours</th><th>Theirs</th><th>Use</th></tr></thead>
+                    <tbody>
+                        ${conflict.fields.map(field => `
+                            <tr>
+                                <td>${field.label}</td>
+                                <td>${formatMergeValue(field.key, conflict.existing[field.key])}</td>
+                                <td>${formatMergeValue(field.key, conflict.incoming[field.key])}</td>
+                                <td><select class="merge-field-select" data-conflict="${index}" data-field="${field.key}">${strategyOptions(globalStrategy)}</select></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+            </div>
+        `).join('')}
+    `;
+    
+    document.getElementById('importPreviewPanel').style.display = 'block';
+    document.getElementById('importPreviewPanel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Import data - step 2: save new cars and the merged versions of conflicting cars
+async function applyImport() {
+    if (!pendingImportPlan) return;
+    
+    const { newCars, identical, conflicts, photos } = pendingImportPlan;
+    const choices = conflicts.map(() => ({}));
+    document.querySelectorAll('.merge-field-select').forEach(select => {
+        choices[parseInt(select.getAttribute('data-conflict'), 10)][select.getAttribute('data-field')] = select.value;
+    });
+    
+    let imported = 0;
+    let updated = 0;
+    let photosImported = 0;
+    const before = UndoHistory.snapshotCars(allCars);
+    
+    // Car IDs in the file -> IDs the cars are stored under here, so photos follow their car
+    const carIdMap = new Map();
+    identical.concat(conflicts).forEach(({ existing, incoming }) => carIdMap.set(incoming.id, existing.id));
+    
+    try {
+        for (const car of newCars) {
+            // Remove IDs to create new entries in the active collection
+            const fileId = car.id;
+            delete car.id;
+            delete car.collectionId;
+            car.timestamp = car.timestamp || new Date().toISOString();
+            carIdMap.set(fileId, await CarStorage.save(car));
+            imported++;
+        }
+        
+        for (let i = 0; i < conflicts.length; i++) {
+            const merged = ImportMerge.resolveConflict(conflicts[i], choices[i]);
+            const changed = conflicts[i].newRecords.length > 0 ||
+                conflicts[i].fields.some(field => merged[field.key] !== conflicts[i].existing[field.key]);
+            if (changed) {
+                await CarStorage.save(merged);
+                updated++;
+            }
+        }
+    } catch (error) {
+        console.error('Error importing data:', error);
+        alert('Error importing data. Some cars may not have been saved.');
+    }
+    
+    if (photos.length > 0) {
+        try {
+            photosImported = await CarPhotos.importPhotos(photos, carIdMap);
+            await CarPhotos.loadPhotoSummaries();
+        } catch (error) {
+            console.error('Error importing photos:', error);
+            alert('Error importing photos. The cars were imported without them.');
+        }
+    }
+    
+    await loadCars();
+    recordUndoableAction(`Imported ${imported} and updated ${updated} cars`, before, { showToast: true });
+    displayCars();
+    closeImportPreview();
+    
+    alert(`Import complete!\n${imported} cars imported\n${updated} cars updated\n${identical.length} identical cars skipped` +
+        (photos.length > 0 ? `\n${photosImported} photos imported` : ''));
+}
+
+// Close the import preview without importing
+function closeImportPreview() {
+    pendingImportPlan = null;
+    document.getElementById('importPreviewPanel').style.display = 'none';
+    document.getElementById('importPreviewBody').innerHTML = '';
+}
+
+// Export the current filtered/sorted view as CSV
+function exportCsv() {
+    try {
+        const cars = getCurrentViewCars();
+        if (cars.length === 0) {
+            alert('No cars in the current view to export.');
+            return;
         }
         
-        let imported = 0;
-        let skipped = 0;
-        const existingRegistrations = new Set(allCars.map(c => CarUtils.normalizeRegistration(c.registration || '')));
+        const csv = CarCsv.carsToCsv(cars);
+        CarUtils.downloadFile(csv, `car-data-export-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8');
+        CarUtils.showButtonFeedback(document.getElementById('exportCsvBtn'), '✓ Exported!');
+    } catch (error) {
+        console.error('Error exporting CSV:', error);
+        alert('Error exporting CSV. Please try again.');
+    }
+}
+
+// Parsed CSV waiting for the user to confirm the column mapping
+let pendingCsvImport = null;
+
+// Import CSV - step 1: parse the file and show the column mapping step
+async function importCsv(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const rows = CarCsv.parseCsv(await file.text());
+        if (rows.length < 2) {
+            throw new Error('The file needs a header row and at least one car');
+        }
         
-        for (const car of importData.cars) {
-            // Skip if car with same registration already exists
-            const reg = CarUtils.normalizeRegistration(car.registration || '');
-            if (reg && existingRegistrations.has(reg)) {
-                skipped++;
+        pendingCsvImport = { headers: rows[0], rows: rows.slice(1) };
+        showCsvMapping();
+    } catch (error) {
+        console.error('Error reading CSV:', error);
+        alert(`Error reading CSV: ${error.message}`);
+    }
+    
+    event.target.value = ''; // Reset file input
+}
+
+// Render the column mapping table for the pending CSV import
+function showCsvMapping() {
+    const { headers, rows } = pendingCsvImport;
+    const mapping = CarCsv.guessCsvMapping(headers);
+    
+    const fieldOptions = key => ['<option value="">— Ignore column —</option>']
+        .concat(CarCsv.CSV_CAR_FIELDS.map(field =>
+            `<option value="${field.key}" ${field.key === key ? 'selected' : ''}>${field.label}${field.required ? ' *' : ''}</option>`
+        )).join('');
+    
+    document.getElementById('csvMappingBody').innerHTML = headers.map((header, i) => `
+        <tr>
+            <td><strong>${escapeHtml(header)}</strong></td>
+            <td class="csv-sample">${escapeHtml(rows[0][i] || '')}</td>
+            <td><select class="csv-mapping-select" data-column="${i}">${fieldOptions(mapping[i])}</select></td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('csvImportSummary').textContent = `${rows.length} rows found. Choose which car field each column fills.`;
+    document.getElementById('csvImportResults').innerHTML = '';
+    document.getElementById('confirmCsvImportBtn').style.display = 'inline-block';
+    document.getElementById('csvImportPanel').style.display = 'block';
+    document.getElementById('csvImportPanel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Import CSV - step 2: validate every row with the chosen mapping and save the valid ones
+async function confirmCsvImport() {
+    if (!pendingCsvImport) return;
+    
+    const mapping = Array.from(document.querySelectorAll('.csv-mapping-select')).map(select => select.value || null);
+    const mappedKeys = mapping.filter(Boolean);
+    
+    if (!mappedKeys.includes('registration')) {
+        alert('Please map a column to Registration.');
+        return;
+    }
+    const duplicateKey = mappedKeys.find((key, i) => mappedKeys.indexOf(key) !== i);
+    if (duplicateKey) {
+        const field = CarCsv.CSV_CAR_FIELDS.find(f => f.key === duplicateKey);
+        alert(`${field.label} is mapped from more than one column.`);
+        return;
+    }
+    
+    let imported = 0;
+    let skipped = 0;
+    const rowErrors = [];
+    const before = UndoHistory.snapshotCars(allCars);
+    const existingRegistrations = new Set(allCars.map(c => CarUtils.normalizeRegistration(c.registration || '')));
+    
+    try {
+        for (let i = 0; i < pendingCsvImport.rows.length; i++) {
+            const { car, errors } = CarCsv.csvRowToCar(pendingCsvImport.rows[i], mapping);
+            
+            // Spreadsheet row numbers: header is row 1
+            if (errors.length > 0) {
+                rowErrors.push({ row: i + 2, errors });
                 continue;
             }
             
-            // Remove ID to create new entries
-            delete car.id;
-            car.timestamp = car.timestamp || new Date().toISOString();
+            if (existingRegistrations.has(car.registration)) {
+                skipped++;
+                continue;
+            }
             
+            car.priceHistory = PriceHistory.recordPriceChange(null, car.price);
             await CarStorage.save(car);
-            if (reg) {
-                existingRegistrations.add(reg);
-            }
+            existingRegistrations.add(car.registration);
             imported++;
         }
-        
-        await loadCars();
-        displayCars();
-        
-        // Reset file input
-        event.target.value = '';
-        
-        alert(`Import complete!\n${imported} cars imported\n${skipped} cars skipped (duplicate registrations)`);
     } catch (error) {
-        console.error('Error importing data:', error);
-        alert('Error importing data. Please check the file format and try again.');
-        event.target.value = ''; // Reset file input
+        console.error('Error importing CSV:', error);
+        alert('Error importing CSV. Some rows may not have been saved.');
+    }
+    
+    await loadCars();
+    recordUndoableAction(`Imported ${imported} cars from CSV`, before, { showToast: true });
+    displayCars();
+    
+    pendingCsvImport = null;
+    document.getElementById('confirmCsvImportBtn').style.display = 'none';
+    document.getElementById('csvImportSummary').textContent =
+        `Import complete: ${imported} cars imported, ${skipped} skipped (duplicate registrations), ${rowErrors.length} rows with errors.`;
+    document.getElementById('csvImportResults').innerHTML = rowErrors.length === 0 ? '' : `
+        <ul class="csv-errors">
+            ${rowErrors.map(({ row, errors }) => `<li><strong>Row ${row}:</strong> ${errors.map(escapeHtml).join('; ')}</li>`).join('')}
+        </ul>
+    `;
+}
+
+// Close the CSV import panel
+function closeCsvImport() {
+    pendingCsvImport = null;
+    document.getElementById('csvImportPanel').style.display = 'none';
+    document.getElementById('csvMappingBody').innerHTML = '';
+    document.getElementById('csvImportResults').innerHTML = '';
+}
+
+// Record a change to the collection in the undo history, optionally offering an Undo toast
+function recordUndoableAction(label, before, { mergeKey = null, showToast = false, fromTrash = false, otherCollectionCars = [], photoMoves = [] } = {}) {
+    // Cars moved or copied to another collection aren't in allCars any more, but the action
+    // changed them too
+    const entry = UndoHistory.recordAction(label, before, allCars.concat(otherCollectionCars), mergeKey, fromTrash, photoMoves);
+    if (entry && showToast) {
+        CarUtils.showToast(label, 'Undo', undoLastAction);
+    }
+}
+
+// Refresh after an undo/redo, closing the form if the car being edited was affected
+async function refreshAfterHistoryChange(entry) {
+    const affectsEditedCar = entry.changes.some(change => (change.before || change.after).id === currentEditingCarId);
+    if (currentEditingCarId && affectsEditedCar) {
+        cancelForm();
+    }
+    if (entry.photoMoves.length > 0) {
+        await CarPhotos.loadPhotoSummaries();
+    }
+    await loadCars();
+    await loadCollections();
+    displayCars();
+    renderTrash();
+}
+
+// Undo the latest action
+async function undoLastAction() {
+    try {
+        const entry = await UndoHistory.undo();
+        if (!entry) {
+            CarUtils.showToast('Nothing to undo', null, null, 2000);
+            return;
+        }
+        await refreshAfterHistoryChange(entry);
+        CarUtils.showToast(`Undone: ${entry.label}`, 'Redo', redoLastAction);
+    } catch (error) {
+        console.error('Error undoing action:', error);
+        alert('Error undoing the last action. Please refresh the page and try again.');
+    }
+}
+
+// Redo the latest undone action
+async function redoLastAction() {
+    try {
+        const entry = await UndoHistory.redo();
+        if (!entry) {
+            CarUtils.showToast('Nothing to redo', null, null, 2000);
+            return;
+        }
+        await refreshAfterHistoryChange(entry);
+        CarUtils.showToast(`Redone: ${entry.label}`, 'Undo', undoLastAction);
+    } catch (error) {
+        console.error('Error redoing action:', error);
+        alert('Error redoing the action. Please refresh the page and try again.');
+    }
+}
+
+// Show the selected car's appointments in the edit form (hidden while adding a new car)
+function renderFormAppointments(car) {
+    const group = document.getElementById('appointmentsGroup');
+    if (!group) return;
+    
+    if (!car) {
+        group.style.display = 'none';
+        return;
+    }
+    
+    const list = document.getElementById('appointmentList');
+    list.innerHTML = CarAppointments.renderAppointmentList(car);
+    list.querySelectorAll('[data-appointment-id]').forEach(item => {
+        const appointment = CarAppointments.getAppointments(car).find(a => a.id === item.getAttribute('data-appointment-id'));
+        if (!appointment) return;
+        item.querySelector('.appointment-ics-btn').addEventListener('click', () => downloadAppointmentIcs(car, appointment));
+        item.querySelector('.appointment-delete-btn').addEventListener('click', () => deleteAppointment(car.id, appointment.id));
+    });
+    group.style.display = 'flex';
+}
+
+// Save a change to one car's appointments as its own undoable action
+async function updateCarAppointments(carId, update, label) {
+    const car = allCars.find(c => c.id === carId);
+    if (!car) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    car.appointments = update(CarAppointments.getAppointments(car));
+    
+    try {
+        await CarStorage.save(car);
+        await loadCars();
+        recordUndoableAction(label, before);
+        displayCars();
+        if (currentEditingCarId === carId) {
+            renderFormAppointments(allCars.find(c => c.id === carId));
+        }
+    } catch (error) {
+        console.error('Error saving appointments:', error);
+        alert('Error saving the appointment. Please try again.');
+    }
+}
+
+// Book an appointment for the car being edited from the form's appointment fields
+async function addAppointmentToCurrentCar() {
+    if (!currentEditingCarId) return;
+    
+    const dateInput = document.getElementById('appointmentDate');
+    if (!dateInput.value) {
+        alert('Please choose a date for the appointment');
+        dateInput.focus();
+        return;
+    }
+    
+    const appointment = CarAppointments.createAppointment({
+        date: dateInput.value,
+        time: document.getElementById('appointmentTime').value,
+        type: document.getElementById('appointmentType').value,
+        location: document.getElementById('appointmentLocation').value.trim(),
+        notes: document.getElementById('appointmentNotes').value.trim()
+    });
+    const car = allCars.find(c => c.id === currentEditingCarId);
+    
+    await updateCarAppointments(currentEditingCarId, appointments => appointments.concat(appointment),
+        `Booked ${appointment.type.toLowerCase()} for ${car && car.registration ? car.registration : 'car'}`);
+    
+    dateInput.value = '';
+    document.getElementById('appointmentLocation').value = '';
+    document.getElementById('appointmentNotes').value = '';
+}
+
+// Remove an appointment from a car
+async function deleteAppointment(carId, appointmentId) {
+    if (!confirm('Delete this appointment?')) return;
+    
+    const car = allCars.find(c => c.id === carId);
+    await updateCarAppointments(carId, appointments => appointments.filter(a => a.id !== appointmentId),
+        `Deleted appointment for ${car && car.registration ? car.registration : 'car'}`);
+}
+
+// Show the MOT and service history timeline in the edit form (hidden for new cars)
+function renderFormHistory(car) {
+    const group = document.getElementById('historyGroup');
+    if (!group) return;
+    
+    if (!car) {
+        group.style.display = 'none';
+        return;
+    }
+    
+    const timeline = document.getElementById('historyTimeline');
+    timeline.innerHTML = CarHistory.renderHistoryTimeline(car);
+    timeline.querySelectorAll('[data-history-id]').forEach(item => {
+        item.querySelector('.history-delete-btn').addEventListener('click', () => deleteHistoryEntry(car.id, item.getAttribute('data-history-id')));
+    });
+    updateHistoryInputs();
+    group.style.display = 'flex';
+}
+
+// Only MOT records have a result, advisories and failures
+function updateHistoryInputs() {
+    const isMot = document.getElementById('historyType').value === 'MOT';
+    document.querySelectorAll('.history-mot-only').forEach(input => {
+        input.style.display = isMot ? '' : 'none';
+    });
+}
+
+// Save a change to one car's history as its own undoable action
+async function updateCarHistory(carId, update, label) {
+    const car = allCars.find(c => c.id === carId);
+    if (!car) return;
+    
+    const before = UndoHistory.snapshotCars(allCars);
+    car.history = update(CarHistory.getHistory(car));
+    
+    try {
+        await CarStorage.save(car);
+        await loadCars();
+        recordUndoableAction(label, before);
+        displayCars();
+        if (currentEditingCarId === carId) {
+            renderFormHistory(allCars.find(c => c.id === carId));
+        }
+    } catch (error) {
+        console.error('Error saving history:', error);
+        alert('Error saving the history record. Please try again.');
+    }
+}
+
+// Add an MOT or service record to the car being edited from the form's history fields
+async function addHistoryToCurrentCar() {
+    if (!currentEditingCarId) return;
+    
+    const dateInput = document.getElementById('historyDate');
+    if (!dateInput.value) {
+        alert('Please choose the date of the MOT or service');
+        dateInput.focus();
+        return;
+    }
+    
+    const entry = CarHistory.createHistoryEntry({
+        type: document.getElementById('historyType').value,
+        date: dateInput.value,
+        mileage: document.getElementById('historyMileage').value,
+        result: document.getElementById('historyResult').value,
+        garage: document.getElementById('historyGarage').value.trim(),
+        advisories: document.getElementById('historyAdvisories').value,
+        failures: document.getElementById('historyFailures').value,
+        notes: document.getElementById('historyNotes').value.trim()
+    });
+    const car = allCars.find(c => c.id === currentEditingCarId);
+    
+    await updateCarHistory(currentEditingCarId, history => history.concat(entry),
+        `Added ${entry.type} record for ${car && car.registration ? car.registration : 'car'}`);
+    
+    ['historyDate', 'historyMileage', 'historyGarage', 'historyAdvisories', 'historyFailures', 'historyNotes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+}
+
+// Remove a history record from a car
+async function deleteHistoryEntry(carId, entryId) {
+    if (!confirm('Delete this history record?')) return;
+    
+    const car = allCars.find(c => c.id === carId);
+    await updateCarHistory(carId, history => history.filter(entry => entry.id !== entryId),
+        `Deleted history record for ${car && car.registration ? car.registration : 'car'}`);
+}
+
+// Download an appointment as an .ics file for calendar apps
+function downloadAppointmentIcs(car, appointment) {
+    const ics = CarAppointments.createIcs(car, appointment, appointmentReminderMinutes);
+    const name = `${appointment.type}-${car.registration || 'car'}-${appointment.date}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+    CarUtils.downloadFile(ics, `${name}.ics`, 'text/calendar');
+}
+
+// Update the upcoming count and, if the agenda panel is open, its list of appointments
+function renderAgendaPanel() {
+    const entries = CarAppointments.getAgendaEntries(allCars);
+    const button = document.getElementById('appointmentsBtn');
+    if (button) {
+        button.textContent = `📅 Viewings (${entries.length})`;
+    }
+    
+    const panel = document.getElementById('appointmentsPanel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    const includePast = document.getElementById('showPastAppointments').checked;
+    const shownEntries = includePast ? CarAppointments.getAgendaEntries(allCars, { includePast: true }) : entries;
+    const list = document.getElementById('agendaList');
+    list.innerHTML = CarAppointments.renderAgenda(shownEntries);
+    
+    shownEntries.forEach(({ car, appointment }) => {
+        const item = list.querySelector(`[data-car-id="${car.id}"][data-appointment-id="${appointment.id}"]`);
+        if (!item) return;
+        item.querySelector('.agenda-open-car').addEventListener('click', (e) => {
+            e.preventDefault();
+            editCar(car.id);
+        });
+        item.querySelector('.agenda-ics-btn').addEventListener('click', () => downloadAppointmentIcs(car, appointment));
+    });
+    
+    updateNotificationButton();
+}
+
+// Show whether browser notifications are on, or offer to turn them on
+function updateNotificationButton() {
+    const button = document.getElementById('enableNotificationsBtn');
+    if (!button) return;
+    
+    if (!('Notification' in window)) {
+        button.textContent = 'Notifications not supported';
+        button.disabled = true;
+    } else if (Notification.permission === 'granted') {
+        button.textContent = '🔔 Notifications on';
+        button.disabled = true;
+    } else if (Notification.permission === 'denied') {
+        button.textContent = 'Notifications blocked';
+        button.title = 'Allow notifications for this site in your browser settings';
+        button.disabled = true;
+    } else {
+        button.textContent = '🔔 Enable Notifications';
+        button.disabled = false;
+    }
+}
+
+// Load how long before an appointment the reminder fires and start checking for due reminders
+async function setupAppointmentReminders() {
+    const saved = parseInt(await InputStorage.get('appointmentReminderMinutes'), 10);
+    appointmentReminderMinutes = isNaN(saved) || saved < 1 ? CarAppointments.DEFAULT_REMINDER_MINUTES : saved;
+    document.getElementById('reminderLeadSelect').value = String(appointmentReminderMinutes);
+    
+    CarAppointments.startAppointmentReminders({
+        getCars: () => allCars,
+        getLeadMinutes: () => appointmentReminderMinutes,
+        onReminder: showAppointmentReminder
+    });
+}
+
+// Remind about an upcoming appointment with a browser notification (when allowed) and a toast
+function showAppointmentReminder({ car, appointment, start }) {
+    const registration = car.registration ? UkPlates.formatPlate(car.registration) : 'car';
+    const location = appointment.location || car.contact;
+    const message = `${appointment.type} for ${registration} at ${CarAppointments.formatAppointmentTime(start)}${location ? ` - ${location}` : ''}`;
+    
+    if ('Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification('Upcoming car appointment', { body: message, tag: appointment.id });
+        notification.onclick = () => {
+            window.focus();
+            editCar(car.id);
+        };
+    }
+    CarUtils.showToast(`⏰ ${message}`, 'Open', () => editCar(car.id), 15000);
+}
+
+// Get how many days deleted cars are kept before being purged
+async function getTrashRetentionDays() {
+    const saved = parseInt(await InputStorage.get('trashRetentionDays'), 10);
+    return isNaN(saved) || saved < 1 ? DEFAULT_TRASH_RETENTION_DAYS : saved;
+}
+
+// Permanently delete cars that have been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+    try {
+        const purged = await TrashStorage.purgeOlderThan(await getTrashRetentionDays());
+        if (purged > 0) {
+            console.log(`Purged ${purged} cars from the trash`);
+        }
+        await renderTrash();
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+}
+
+// Update the trash count and, if the trash panel is open, its list of deleted cars
+async function renderTrash() {
+    const trashedCars = await TrashStorage.getAll();
+    const retentionDays = await getTrashRetentionDays();
+    
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) {
+        trashBtn.textContent = `🗑️ Trash (${trashedCars.length})`;
+    }
+    
+    const panel = document.getElementById('trashPanel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    document.getElementById('trashRetentionInput').value = retentionDays;
+    document.getElementById('emptyTrashBtn').disabled = trashedCars.length === 0;
+    
+    const list = document.getElementById('trashList');
+    if (trashedCars.length === 0) {
+        list.innerHTML = '<p class="empty-message">The trash is empty.</p>';
+        return;
+    }
+    
+    // Most recently deleted first
+    trashedCars.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    
+    list.innerHTML = `
+        <table class="merge-table trash-table">
+            <thead><tr><th>Registration</th><th>Spec</th><th>Price</th><th>Deleted</th><th>Purged In</th><th></th></tr></thead>
+            <tbody>
+                ${trashedCars.map(car => {
+                    const deletedAt = new Date(car.deletedAt);
+                    const daysLeft = Math.max(0, Math.ceil(retentionDays - (Date.now() - deletedAt.getTime()) / (24 * 60 * 60 * 1000)));
+                    return `
+                        <tr data-trash-id="${car.id}">
+                            <td><strong>${escapeHtml(car.registration || 'No Registration')}</strong></td>
+                            <td>${escapeHtml(car.spec || '')}</td>
+                            <td>${CarUtils.formatPrice(car.price)}</td>
+                            <td>${deletedAt.toLocaleDateString('en-GB')} ${deletedAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}</td>
+                            <td>${daysLeft} day${daysLeft === 1 ? '' : 's'}</td>
+                            <td style="white-space: nowrap;">
+                                <button class="btn-icon btn-open trash-restore-btn" title="Restore">↩️ Restore</button>
+                                <button class="btn-icon btn-delete trash-purge-btn" title="Delete permanently">Delete Forever</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    trashedCars.forEach(car => {
+        const row = list.querySelector(`[data-trash-id="${car.id}"]`);
+        row.querySelector('.trash-restore-btn').addEventListener('click', () => restoreFromTrash(car.id));
+        row.querySelector('.trash-purge-btn').addEventListener('click', () => purgeFromTrash(car));
+    });
+}
+
+// Move a deleted car back into the collection
+async function restoreFromTrash(carId) {
+    try {
+        const before = UndoHistory.snapshotCars(allCars);
+        const restored = await TrashStorage.restore(carId);
+        await loadCars();
+        recordUndoableAction(`Restored ${restored.registration || 'car'}`, before, { fromTrash: true });
+        displayCars();
+        await renderTrash();
+        CarUtils.scrollToElementWithHighlight(`[data-car-id="${carId}"]`);
+    } catch (error) {
+        console.error('Error restoring car:', error);
+        alert('Error restoring car. Please try again.');
+    }
+}
+
+// Permanently delete one car from the trash
+async function purgeFromTrash(car) {
+    if (!confirm(`Permanently delete ${car.registration || 'this car'}? This cannot be undone.`)) return;
+    
+    try {
+        await TrashStorage.delete(car.id);
+        await renderTrash();
+    } catch (error) {
+        console.error('Error deleting car permanently:', error);
+        alert('Error deleting car. Please try again.');
+    }
+}
+
+// Permanently delete everything in the trash
+async function emptyTrash() {
+    if (!confirm('Permanently delete all cars in the trash? This cannot be undone.')) return;
+    
+    try {
+        await TrashStorage.clear();
+        await renderTrash();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        alert('Error emptying trash. Please try again.');
+    }
+}
+
+// Update the duplicates count and, if the panel is open, the list of pairs to review.
+// The list is only redrawn when the cars have changed, unless 'force' is set.
+function renderDuplicatesPanel(force = false) {
+    const signature = allCars.map(car => `${car.id}@${car.updatedAt || car.timestamp}`).join('|');
+    const changed = force || signature !== duplicatesSignature;
+    if (changed) {
+        duplicatePairs = CarDuplicates.findDuplicatePairs(allCars);
+        duplicatesSignature = signature;
+    }
+    
+    const duplicatesBtn = document.getElementById('duplicatesBtn');
+    if (duplicatesBtn) {
+        duplicatesBtn.textContent = `Duplicates (${duplicatePairs.length})`;
+    }
+    
+    const panel = document.getElementById('duplicatesPanel');
+    if (!panel || panel.style.display === 'none' || !changed) return;
+    
+    const list = document.getElementById('duplicatesList');
+    if (duplicatePairs.length === 0) {
+        list.innerHTML = '<p class="empty-message">No duplicates found.</p>';
+        return;
+    }
+    
+    const formatAdded = car => car.timestamp ? new Date(car.timestamp).toLocaleDateString('en-GB') : 'unknown';
+    const carLabel = car => escapeHtml(car.registration ? UkPlates.formatPlate(car.registration) : (car.spec || 'No Registration'));
+    
+    list.innerHTML = duplicatePairs.map((pair, index) => {
+        const fields = CarDuplicates.getDifferingFields(pair);
+        const choiceCell = (field, side) => {
+            const checked = CarDuplicates.getDefaultChoice(pair, field.key) === side ? 'checked' : '';
+            const car = side === 'a' ? pair.carA : pair.carB;
+            return `<td><label class="duplicate-choice"><input type="radio" name="duplicate-${index}-${field.key}" value="${side}" data-field="${field.key}" ${checked}> ${formatMergeValue(field.key, car[field.key])}</label></td>`;
+        };
+        return `
+            <div class="merge-conflict duplicate-pair" data-pair-index="${index}">
+                <div class="merge-conflict-header">
+                    <strong>${carLabel(pair.carA)} &amp; ${carLabel(pair.carB)}</strong>
+                    <span class="${pair.exact ? 'duplicate-exact' : 'duplicate-possible'}">${pair.reasons.map(escapeHtml).join(' · ')}</span>
+                </div>
+                ${fields.length > 0 ? `
+                    <table class="merge-table">
+                        <thead><tr><th>Field</th><th>Added ${formatAdded(pair.carA)}</th><th>Added ${formatAdded(pair.carB)}</th></tr></thead>
+                        <tbody>
+                            ${fields.map(field => `<tr><td>${field.label}</td>${choiceCell(field, 'a')}${choiceCell(field, 'b')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="description">Every field is the same.</p>'}
+                <div class="duplicate-actions">
+                    <button class="btn btn-primary duplicate-merge-btn" style="padding: 6px 12px; font-size: 0.9em;">Merge</button>
+                    <button class="btn btn-secondary duplicate-dismiss-btn" style="padding: 6px 12px; font-size: 0.9em;">Not Duplicates</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    list.querySelectorAll('.duplicate-pair').forEach(element => {
+        const pair = duplicatePairs[parseInt(element.getAttribute('data-pair-index'), 10)];
+        element.querySelector('.duplicate-merge-btn').addEventListener('click', () => {
+            const choices = {};
+            element.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+                choices[input.getAttribute('data-field')] = input.value;
+            });
+            mergeDuplicateCars(pair, choices);
+        });
+        element.querySelector('.duplicate-dismiss-btn').addEventListener('click', async () => {
+            await CarDuplicates.dismissDuplicatePair(pair);
+            renderDuplicatesPanel(true);
+        });
+    });
+}
+
+// Show the data quality report (if its panel is open): completeness, missing fields and
+// suspicious values for each car. Each problem links to the field in the edit form.
+function renderQualityReport() {
+    const panel = document.getElementById('qualityReportPanel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    const { rows, summary } = DataQuality.buildQualityReport(allCars);
+    const needsAttentionOnly = document.getElementById('qualityNeedsAttention').checked;
+    const shownRows = needsAttentionOnly ? rows.filter(row => row.missing.length > 0 || row.issues.length > 0) : rows;
+    
+    document.getElementById('qualityReportSummary').innerHTML = allCars.length === 0 ? '' : `
+        <div><strong>${summary.averagePercent}%</strong> average completeness</div>
+        <div><strong>${summary.completeCount}</strong> of ${allCars.length} cars complete</div>
+        <div><strong>${summary.withIssuesCount}</strong> with values to check</div>
+        ${summary.mostMissing.length > 0 ? `<div>Most often missing: ${summary.mostMissing.map(([label, count]) => `${label} (${count})`).join(', ')}</div>` : ''}
+    `;
+    
+    const list = document.getElementById('qualityReportList');
+    if (shownRows.length === 0) {
+        list.innerHTML = `<p class="empty-message">${allCars.length === 0 ? 'No cars yet.' : 'Every car is complete and nothing looks wrong.'}</p>`;
+        return;
+    }
+    
+    const fixLink = (fieldId, text, className = '') =>
+        `<a href="#" class="quality-fix-link ${className}" data-field-id="${fieldId}">${escapeHtml(text)}</a>`;
+    
+    list.innerHTML = `
+        <table class="merge-table quality-table">
+            <thead><tr><th>Car</th><th>Complete</th><th>Missing</th><th>Check</th><th></th></tr></thead>
+            <tbody>
+                ${shownRows.map(({ car, percent, missing, issues }) => `
+                    <tr data-car-id="${car.id}">
+                        <td><strong class="plate-text">${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}</strong><div class="quality-spec">${escapeHtml(car.spec || '')}</div></td>
+                        <td>${DataQuality.renderCompletenessBar(percent)}</td>
+                        <td>${missing.map(field => fixLink(field.fieldId, field.label)).join(', ')}</td>
+                        <td>${issues.map(issue => `<div>⚠️ ${fixLink(issue.fieldId, issue.message, 'quality-issue')}</div>`).join('')}</td>
+                        <td><button class="btn-icon btn-edit quality-edit-btn" title="Edit">✏️</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    shownRows.forEach(({ car }) => {
+        const row = list.querySelector(`tr[data-car-id="${car.id}"]`);
+        row.querySelectorAll('.quality-fix-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                editCarField(car.id, link.getAttribute('data-field-id'));
+            });
+        });
+        row.querySelector('.quality-edit-btn').addEventListener('click', () => editCar(car.id));
+    });
+}
+
+// Open a car in the edit form with the cursor in one field
+async function editCarField(carId, fieldId) {
+    await editCar(carId);
+    const input = document.getElementById(fieldId);
+    if (input) {
+        input.focus();
+        input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Merge a duplicate pair into the car added first, move the other car's photos across
+// and move the other car to the trash
+async function mergeDuplicateCars(pair, choices) {
+    const before = UndoHistory.snapshotCars(allCars);
+    const merged = CarDuplicates.mergeDuplicatePair(pair, choices);
+    
+    try {
+        await CarStorage.save(merged);
+        const photoIds = (await PhotoStorage.getForCar(pair.carB.id)).map(photo => photo.id);
+        await PhotoStorage.moveToCar(pair.carB.id, merged.id, photoIds);
+        await CarStorage.delete(pair.carB.id);
+        
+        await loadCars();
+        if (photoIds.length > 0) {
+            await CarPhotos.loadPhotoSummaries();
+        }
+        // Undo moves the photos back to the other car
+        const photoMoves = photoIds.length > 0 ? [{ fromCarId: pair.carB.id, toCarId: merged.id, photoIds }] : [];
+        recordUndoableAction(`Merged duplicate ${merged.registration || 'car'}`, before, { showToast: true, photoMoves });
+        renderTrash();
+        
+        const searchInput = document.getElementById('searchCarsInput');
+        displayCars(searchInput ? searchInput.value.trim() : '');
+        
+        if (currentEditingCarId === pair.carB.id) {
+            cancelForm();
+        }
+    } catch (error) {
+        console.error('Error merging duplicates:', error);
+        alert('Error merging cars. Please try again.');
+    }
+}
+
+// Load the range filters saved from the last session
+async function loadRangeFilters() {
+    try {
+        const saved = await InputStorage.get('rangeFilters');
+        if (saved && typeof saved === 'object') {
+            currentFilters.ranges = saved;
+        }
+    } catch (error) {
+        console.error('Error loading range filters:', error);
+    }
+}
+
+// Persist the range filters so they survive a reload
+async function saveRangeFilters() {
+    try {
+        await InputStorage.save('rangeFilters', currentFilters.ranges);
+    } catch (error) {
+        console.error('Error saving range filters:', error);
+    }
+}
+
+// Replace all range filters (e.g. when clearing filters or applying a preset) and reset the sliders
+function setRangeFilters(ranges) {
+    currentFilters.ranges = { ...ranges };
+    saveRangeFilters();
+    renderRangeFilterPanel(true);
+}
+
+// Update one range as its slider moves
+function handleRangeFilterChange(key, range) {
+    currentFilters.ranges = { ...currentFilters.ranges, [key]: range };
+    saveRangeFilters();
+    applyFilters();
+}
+
+// Show the range sliders (rebuilt only when the collection's bounds change, unless forced)
+// and the number of active ranges on the toggle button
+function renderRangeFilterPanel(force = false) {
+    RangeFilters.renderRangeFilters(allCars, currentFilters.ranges, handleRangeFilterChange, force);
+    
+    const button = document.getElementById('rangeFiltersBtn');
+    if (button) {
+        const active = RangeFilters.countActiveRanges(currentFilters.ranges);
+        button.textContent = active > 0 ? `Ranges (${active})` : 'Ranges';
+        button.classList.toggle('active', active > 0);
+    }
+}
+
+// Get a snapshot of the current search, filters, sort and view for saving as a preset
+function getCurrentViewState() {
+    const searchInput = document.getElementById('searchCarsInput');
+    return {
+        filters: { ...currentFilters, ranges: { ...currentFilters.ranges } },
+        search: searchInput ? searchInput.value.trim() : '',
+        sort: { ...currentSort },
+        view: currentView
+    };
+}
+
+// Check whether a preset matches the view currently on screen
+function isPresetActive(preset) {
+    const state = getCurrentViewState();
+    const presetFilters = { ...DEFAULT_FILTERS, ...preset.filters };
+    return Object.keys(presetFilters).every(key => JSON.stringify(state.filters[key]) === JSON.stringify(presetFilters[key])) &&
+        state.search === preset.search &&
+        state.sort.column === preset.sort.column &&
+        (!preset.sort.column || state.sort.direction === preset.sort.direction) &&
+        state.view === preset.view;
+}
+
+// Load saved presets from storage
+async function loadFilterPresets() {
+    try {
+        const saved = await InputStorage.get('filterPresets');
+        filterPresets = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error loading filter presets:', error);
+        filterPresets = [];
+    }
+}
+
+// Fill the preset dropdown, with the number of cars each preset currently matches
+function renderFilterPresets() {
+    const select = document.getElementById('filterPresetSelect');
+    if (!select) return;
+    
+    const activePreset = filterPresets.find(isPresetActive);
+    select.innerHTML = `<option value="">${filterPresets.length > 0 ? 'Saved searches...' : 'No saved searches'}</option>` +
+        filterPresets.map(preset => {
+            const count = applySearchAndFilters(allCars, preset.search, { ...DEFAULT_FILTERS, ...preset.filters }).length;
+            return `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)} (${count})</option>`;
+        }).join('');
+    select.value = activePreset ? activePreset.name : '';
+    
+    document.getElementById('deletePresetBtn').disabled = !activePreset;
+}
+
+// Restore the search, filters, sort and view saved in a preset
+function applyFilterPreset(name) {
+    const preset = filterPresets.find(p => p.name === name);
+    if (!preset) return;
+    
+    currentFilters = { ...DEFAULT_FILTERS, ...preset.filters };
+    FILTER_SELECTS.forEach(({ id, key }) => {
+        document.getElementById(id).value = currentFilters[key];
+    });
+    setRangeFilters(currentFilters.ranges || {});
+    
+    const searchInput = document.getElementById('searchCarsInput');
+    searchInput.value = preset.search || '';
+    updateSearchQueryHint(searchInput.value);
+    
+    currentSort = { column: null, direction: 'asc', ...preset.sort };
+    updateSortIndicators();
+    
+    switchView(['card', 'board', 'dashboard'].includes(preset.view) ? preset.view : 'table');
+}
+
+// Save the current view as a named preset (replacing one with the same name)
+async function saveFilterPreset() {
+    const activePreset = filterPresets.find(isPresetActive);
+    const name = (prompt('Name this saved search:', activePreset ? activePreset.name : '') || '').trim();
+    if (!name) return;
+    
+    const existingIndex = filterPresets.findIndex(p => p.name === name);
+    if (existingIndex !== -1 && !confirm(`Replace the saved search "${name}"?`)) return;
+    
+    const preset = { name, ...getCurrentViewState() };
+    if (existingIndex !== -1) {
+        filterPresets[existingIndex] = preset;
+    } else {
+        filterPresets.push(preset);
+    }
+    
+    try {
+        await InputStorage.save('filterPresets', filterPresets);
+        renderFilterPresets();
+    } catch (error) {
+        console.error('Error saving filter preset:', error);
+        alert('Error saving the search. Please try again.');
+    }
+}
+
+// Delete the preset selected in the dropdown
+async function deleteFilterPreset() {
+    const name = document.getElementById('filterPresetSelect').value;
+    if (!name || !confirm(`Delete the saved search "${name}"?`)) return;
+    
+    filterPresets = filterPresets.filter(p => p.name !== name);
+    try {
+        await InputStorage.save('filterPresets', filterPresets);
+        renderFilterPresets();
+    } catch (error) {
+        console.error('Error deleting filter preset:', error);
+        alert('Error deleting the search. Please try again.');
     }
 }
 
@@ -1495,6 +3512,8 @@ if (typeof window !== 'undefined') {
         showAddCarForm,
         editCar,
         exportData,
-        importData
+        importData,
+        exportCsv,
+        importCsv
     };
 }
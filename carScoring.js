@@ -0,0 +1,175 @@
+// Car Scoring - Composite value-for-money score from user-adjustable factor weights
+
+// Factors that make up the score. 'better' says which end of the range scores highest.
+const SCORE_FACTORS = [
+    { key: 'price', label: 'Price', better: 'lower', defaultWeight: 30, getValue: car => CarUtils.toNumber(car.price) },
+    { key: 'mileage', label: 'Mileage', better: 'lower', defaultWeight: 25, getValue: car => CarUtils.toNumber(car.mileage) },
+    { key: 'age', label: 'Age', better: 'higher', defaultWeight: 20, getValue: car => CarUtils.getCarYear(car) },
+    { key: 'insuranceGroup', label: 'Insurance Group', better: 'lower', defaultWeight: 10, getValue: car => CarUtils.toNumber(car.insuranceGroup) },
+    { key: 'rating', label: 'Rating', better: 'higher', defaultWeight: 15, getValue: car => CarUtils.toNumber(car.rating) }
+];
+
+const MAX_FACTOR_WEIGHT = 50;
+
+let scoreWeights = getDefaultScoreWeights();
+let currentScores = new Map(); // car id -> { score, breakdown }
+
+function getDefaultScoreWeights() {
+    const weights = {};
+    SCORE_FACTORS.forEach(factor => {
+        weights[factor.key] = factor.defaultWeight;
+    });
+    return weights;
+}
+
+// Load saved weights from storage
+async function loadScoreWeights() {
+    try {
+        const saved = await InputStorage.get('scoreWeights');
+        if (saved) {
+            scoreWeights = { ...getDefaultScoreWeights(), ...saved };
+        }
+    } catch (error) {
+        console.error('Error loading score weights:', error);
+    }
+}
+
+// Update one factor weight and persist all weights
+async function setScoreWeight(key, weight) {
+    scoreWeights[key] = weight;
+    try {
+        await InputStorage.save('scoreWeights', scoreWeights);
+    } catch (error) {
+        console.error('Error saving score weights:', error);
+    }
+}
+
+// Reset weights to their defaults and persist them
+async function resetScoreWeights() {
+    scoreWeights = getDefaultScoreWeights();
+    try {
+        await InputStorage.save('scoreWeights', scoreWeights);
+    } catch (error) {
+        console.error('Error saving score weights:', error);
+    }
+}
+
+// Score every car against the range of values across the whole collection.
+// Each factor is scaled 0-1 between the worst and best car; factors a car is missing
+// are left out and the remaining weights are rescaled so the score is still out of 100.
+function computeScores(cars) {
+    const ranges = {};
+    SCORE_FACTORS.forEach(factor => {
+        const values = cars.map(factor.getValue).filter(v => v !== null);
+        ranges[factor.key] = values.length > 0
+            ? { min: Math.min(...values), max: Math.max(...values) }
+            : null;
+    });
+
+    const scores = new Map();
+    cars.forEach(car => {
+        const available = SCORE_FACTORS.filter(factor =>
+            scoreWeights[factor.key] > 0 && ranges[factor.key] && factor.getValue(car) !== null
+        );
+        const totalWeight = available.reduce((sum, factor) => sum + scoreWeights[factor.key], 0);
+        if (totalWeight === 0) {
+            scores.set(car.id, { score: null, breakdown: [] });
+            return;
+        }
+
+        const breakdown = available.map(factor => {
+            const value = factor.getValue(car);
+            const { min, max } = ranges[factor.key];
+            let normalized = 1;
+            if (max !== min) {
+                normalized = (value - min) / (max - min);
+                if (factor.better === 'lower') normalized = 1 - normalized;
+            }
+            const maxPoints = (scoreWeights[factor.key] / totalWeight) * 100;
+            return { key: factor.key, label: factor.label, points: normalized * maxPoints, maxPoints };
+        });
+
+        const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+        scores.set(car.id, { score, breakdown });
+    });
+
+    return scores;
+}
+
+// Recompute cached scores (call whenever the cars or weights change)
+function refreshScores(cars) {
+    currentScores = computeScores(cars);
+}
+
+// Get a car's cached score (null when it can't be scored)
+function getScore(car) {
+    const result = currentScores.get(car.id);
+    return result ? result.score : null;
+}
+
+// Plain-text explanation of how each factor contributed, for tooltips
+function explainScore(car) {
+    const result = currentScores.get(car.id);
+    if (!result || result.score === null) return 'Not enough details to score this car';
+    return result.breakdown
+        .map(item => `${item.label}: ${item.points.toFixed(1)} / ${item.maxPoints.toFixed(1)}`)
+        .join('\n');
+}
+
+// Colour-coded score badge with the breakdown as its tooltip
+function renderScoreBadge(car) {
+    const score = getScore(car);
+    if (score === null) return '';
+    const level = score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low';
+    return `<span class="score-badge score-${level}" title="${explainScore(car)}">${Math.round(score)}</span>`;
+}
+
+// Per-factor bars showing each contribution, for cards
+function renderScoreBreakdown(car) {
+    const result = currentScores.get(car.id);
+    if (!result || result.score === null) return '';
+    return `<div class="score-breakdown">${result.breakdown.map(item => `
+        <div class="score-breakdown-item" title="${item.points.toFixed(1)} of ${item.maxPoints.toFixed(1)} points">
+            <span>${item.label}</span>
+            <span class="score-bar"><span style="width: ${item.maxPoints ? (item.points / item.maxPoints) * 100 : 0}%;"></span></span>
+        </div>
+    `).join('')}</div>`;
+}
+
+// Build the weight sliders in the scoring panel
+function renderScoreWeightsPanel(onChange) {
+    const container = document.getElementById('scoreWeightsSliders');
+    if (!container) return;
+
+    container.innerHTML = SCORE_FACTORS.map(factor => `
+        <label class="score-weight">
+            <span>${factor.label} <strong id="scoreWeightValue-${factor.key}">${scoreWeights[factor.key]}</strong></span>
+            <input type="range" min="0" max="${MAX_FACTOR_WEIGHT}" value="${scoreWeights[factor.key]}" data-factor="${factor.key}">
+        </label>
+    `).join('');
+
+    container.querySelectorAll('input[type="range"]').forEach(slider => {
+        slider.addEventListener('input', async function() {
+            const key = this.getAttribute('data-factor');
+            const weight = parseInt(this.value, 10);
+            document.getElementById(`scoreWeightValue-${key}`).textContent = weight;
+            await setScoreWeight(key, weight);
+            onChange();
+        });
+    });
+}
+
+// Export scoring functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarScoring = {
+        loadScoreWeights,
+        resetScoreWeights,
+        computeScores,
+        refreshScores,
+        getScore,
+        explainScore,
+        renderScoreBadge,
+        renderScoreBreakdown,
+        renderScoreWeightsPanel
+    };
+}
@@ -0,0 +1,178 @@
+// CSV support - Parsing, writing and validating spreadsheet rows for car import/export
+
+// Car fields that can be exported to / imported from CSV, in column order.
+// 'aliases' are other spreadsheet headers that should map onto the field automatically.
+const CSV_CAR_FIELDS = [
+    { key: 'registration', label: 'Registration', type: 'text', required: true, aliases: ['reg', 'plate', 'vrm', 'number plate', 'registration number'] },
+    { key: 'year', label: 'Year', type: 'text', aliases: ['model year', 'reg year'] },
+    { key: 'spec', label: 'Spec', type: 'text', aliases: ['model', 'make model', 'description', 'title', 'variant'] },
+    { key: 'price', label: 'Price', type: 'number', aliases: ['cost', 'asking price', 'price gbp'] },
+    { key: 'mileage', label: 'Mileage', type: 'number', aliases: ['miles', 'odometer'] },
+    { key: 'engineSize', label: 'Engine Size', type: 'number', aliases: ['engine', 'engine size l', 'engine l'] },
+    { key: 'transmission', label: 'Transmission', type: 'choice', options: ['Automatic', 'Manual'], aliases: ['gearbox'] },
+    { key: 'fuelType', label: 'Fuel Type', type: 'choice', options: ['Petrol', 'Diesel'], aliases: ['fuel'] },
+    { key: 'status', label: 'Status', type: 'choice', options: CarPipeline.PIPELINE_STATUSES.map(status => status.name), aliases: ['stage', 'pipeline', 'pipeline status'] },
+    { key: 'colors', label: 'Colours', type: 'text', aliases: ['colors', 'colour', 'color', 'exterior interior'] },
+    { key: 'insuranceGroup', label: 'Insurance Group', type: 'integer', min: 1, max: 50, aliases: ['insurance', 'ins group'] },
+    { key: 'mpg', label: 'MPG', type: 'number', aliases: ['fuel economy', 'economy', 'combined mpg'] },
+    { key: 'taxBand', label: 'Road Tax Band', type: 'choice', options: CarTco.ROAD_TAX_BANDS.map(band => band.key), aliases: ['tax band', 'ved band', 'road tax'] },
+    { key: 'serviceCost', label: 'Servicing Per Year', type: 'number', aliases: ['servicing', 'service cost', 'annual servicing'] },
+    { key: 'financeType', label: 'Finance Type', type: 'choice', options: CarFinance.FINANCE_TYPES.map(type => type.key), aliases: ['finance'] },
+    { key: 'financeDeposit', label: 'Finance Deposit', type: 'number', aliases: ['deposit'] },
+    { key: 'financeTermMonths', label: 'Finance Term Months', type: 'integer', min: 1, max: 120, aliases: ['term', 'finance term'] },
+    { key: 'financeApr', label: 'Finance APR', type: 'number', aliases: ['apr'] },
+    { key: 'financeBalloon', label: 'Finance Final Payment', type: 'number', aliases: ['balloon', 'gmfv', 'optional final payment'] },
+    { key: 'rating', label: 'Rating', type: 'integer', min: 1, max: 5, aliases: ['stars', 'score out of 5'] },
+    { key: 'contact', label: 'Contact', type: 'text', aliases: ['dealer', 'seller', 'contact dealer'] },
+    { key: 'comments', label: 'Comments', type: 'text', aliases: ['notes', 'mot notes'] },
+    { key: 'vehicleScore', label: 'Vehicle Score Link', type: 'text', aliases: ['vehicle score', 'vehiclescore'] },
+    { key: 'websiteLink', label: 'Website Link', type: 'text', aliases: ['url', 'link', 'listing', 'website', 'advert'] }
+];
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields,
+// escaped quotes ("") and newlines inside quotes.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Quote a single CSV value if it contains separators, quotes or newlines
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text (with a BOM so spreadsheet apps read it as UTF-8) for a list of cars
+function carsToCsv(cars) {
+    const lines = [CSV_CAR_FIELDS.map(field => escapeCsvValue(field.label)).join(',')];
+    cars.forEach(car => {
+        lines.push(CSV_CAR_FIELDS.map(field => escapeCsvValue(car[field.key])).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// Normalise a header for matching: lowercase letters and digits only
+function normalizeCsvHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Guess which car field each CSV header maps onto (null = ignore the column)
+function guessCsvMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+        const normalized = normalizeCsvHeader(header);
+        const field = CSV_CAR_FIELDS.find(f => !used.has(f.key) && (
+            normalizeCsvHeader(f.key) === normalized ||
+            normalizeCsvHeader(f.label) === normalized ||
+            f.aliases.includes(normalized)
+        ));
+        if (!field) return null;
+        used.add(field.key);
+        return field.key;
+    });
+}
+
+// Parse a spreadsheet number, allowing £, commas, units and a "k" thousands suffix
+function parseCsvNumber(value) {
+    const cleaned = value.replace(/[£,\s]/g, '').replace(/(miles|mi|l)$/i, '');
+    const match = cleaned.match(/^(-?\d+(?:\.\d+)?)(k?)$/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+}
+
+// Convert one CSV row into a car using the column mapping.
+// Returns { car, errors } where errors lists every problem found in the row.
+function csvRowToCar(row, mapping) {
+    const car = {};
+    const errors = [];
+
+    mapping.forEach((key, columnIndex) => {
+        if (!key) return;
+        const field = CSV_CAR_FIELDS.find(f => f.key === key);
+        const raw = (row[columnIndex] || '').trim();
+        if (raw === '') return;
+
+        if (field.type === 'number' || field.type === 'integer') {
+            const number = parseCsvNumber(raw);
+            if (number === null) {
+                errors.push(`${field.label} "${raw}" is not a number`);
+            } else if (field.type === 'integer' && !Number.isInteger(number)) {
+                errors.push(`${field.label} "${raw}" must be a whole number`);
+            } else if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                errors.push(`${field.label} ${number} must be between ${field.min} and ${field.max}`);
+            } else {
+                car[key] = number;
+            }
+        } else if (field.type === 'choice') {
+            const option = field.options.find(o => o.toLowerCase().startsWith(raw.toLowerCase()));
+            if (option) {
+                car[key] = option;
+            } else {
+                errors.push(`${field.label} "${raw}" must be one of ${field.options.join(', ')}`);
+            }
+        } else {
+            car[key] = raw;
+        }
+    });
+
+    CSV_CAR_FIELDS.filter(field => field.required && !car[field.key]).forEach(field => {
+        errors.push(`${field.label} is missing`);
+    });
+
+    if (car.registration) {
+        car.registration = CarUtils.normalizeRegistration(car.registration);
+    }
+
+    return { car, errors };
+}
+
+// Export CSV helpers to global scope
+if (typeof window !== 'undefined') {
+    window.CarCsv = {
+        CSV_CAR_FIELDS,
+        parseCsv,
+        carsToCsv,
+        guessCsvMapping,
+        csvRowToCar
+    };
+}
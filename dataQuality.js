@@ -0,0 +1,149 @@
+// Data Quality - Completeness of each car's details and checks for values that look wrong
+
+// Fields counted towards completeness (the ones the form highlights when empty), with their form input
+const QUALITY_FIELDS = [
+    { key: 'registration', label: 'Registration', fieldId: 'carRegistration' },
+    { key: 'year', label: 'Year', fieldId: 'carYear' },
+    { key: 'spec', label: 'Spec', fieldId: 'carSpec' },
+    { key: 'price', label: 'Price', fieldId: 'carPrice' },
+    { key: 'mileage', label: 'Mileage', fieldId: 'carMileage' },
+    { key: 'engineSize', label: 'Engine Size', fieldId: 'carEngineSize' },
+    { key: 'transmission', label: 'Transmission', fieldId: 'carTransmission' },
+    { key: 'fuelType', label: 'Fuel Type', fieldId: 'carFuelType' },
+    { key: 'colors', label: 'Colours', fieldId: 'carColors' },
+    { key: 'insuranceGroup', label: 'Insurance Group', fieldId: 'carInsuranceGroup' },
+    { key: 'mpg', label: 'MPG', fieldId: 'carMpg' },
+    { key: 'taxBand', label: 'Road Tax Band', fieldId: 'carTaxBand' },
+    { key: 'rating', label: 'Rating', fieldId: 'carRating' },
+    { key: 'contact', label: 'Contact', fieldId: 'carContact' },
+    { key: 'comments', label: 'Comments', fieldId: 'carComments' }
+];
+
+// Average miles per year outside this range is suspicious whatever the rest of the collection does
+const MILES_PER_YEAR_LIMITS = { min: 1000, max: 30000 };
+
+// Collections with fewer cars than this are too small to judge outliers against
+const MIN_CARS_FOR_OUTLIERS = 8;
+
+function hasQualityValue(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+// Completeness of a car: { percent, missing } where missing lists the empty QUALITY_FIELDS
+function getCompleteness(car) {
+    const missing = QUALITY_FIELDS.filter(field => !hasQualityValue(car[field.key]));
+    const percent = Math.round((QUALITY_FIELDS.length - missing.length) / QUALITY_FIELDS.length * 100);
+    return { percent, missing };
+}
+
+// Average miles per year since the car was made (null without a year and mileage).
+// Cars less than a year old count as half a year so new cars aren't divided by zero.
+function getMilesPerYear(car, now = new Date()) {
+    const year = CarUtils.getCarYear(car);
+    const mileage = parseFloat(car.mileage);
+    if (!year || isNaN(mileage)) return null;
+    const age = Math.max(0.5, now.getFullYear() - year);
+    return mileage / age;
+}
+
+// Lower and upper outlier fences (1.5 × the interquartile range) for a list of numbers
+function getOutlierFences(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const quantile = q => {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        return sorted[lower] + (sorted[Math.ceil(position)] - sorted[lower]) * (position - lower);
+    };
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+    return { low: q1 - 1.5 * (q3 - q1), high: q3 + 1.5 * (q3 - q1) };
+}
+
+function formatMiles(miles) {
+    return Math.round(miles).toLocaleString('en-GB');
+}
+
+// Values that look wrong: [{ fieldId, message }]. 'fences' are the collection's miles-per-year
+// outlier fences (from getOutlierFences), or null when there are too few cars to compare.
+function getQualityIssues(car, fences = null, now = new Date()) {
+    const issues = [];
+    const add = (fieldId, message) => issues.push({ fieldId, message });
+
+    const price = parseFloat(car.price);
+    if (hasQualityValue(car.price) && !isNaN(price) && price <= 0) {
+        add('carPrice', `Price is ${CarUtils.formatPrice(price) || '£0'}`);
+    }
+
+    const year = CarUtils.getCarYear(car);
+    if (car.registration) {
+        const plate = UkPlates.parsePlate(car.registration);
+        const plateYear = CarUtils.extractYearFromRegistration(car.registration);
+        if (!plate.valid) {
+            add('carRegistration', `Registration doesn't look valid: ${plate.message}`);
+        } else if (plateYear && year && (year < plateYear - 1 || year > plateYear + 1)) {
+            // Cars can be first registered a little before or after their model year
+            add('carYear', `Year ${year} doesn't match the registration (${plateYear})`);
+        }
+    }
+
+    if (year && year > now.getFullYear() + 1) {
+        add('carYear', `Year ${year} is in the future`);
+    }
+
+    const milesPerYear = getMilesPerYear(car, now);
+    if (milesPerYear !== null) {
+        const perYear = `${formatMiles(milesPerYear)} miles a year`;
+        if (milesPerYear > MILES_PER_YEAR_LIMITS.max || (fences && milesPerYear > fences.high)) {
+            add('carMileage', `Very high mileage for its age (${perYear})`);
+        } else if ((now.getFullYear() - year >= 3 && milesPerYear < MILES_PER_YEAR_LIMITS.min) || (fences && milesPerYear < fences.low)) {
+            add('carMileage', `Very low mileage for its age (${perYear})`);
+        }
+    }
+
+    const engineSize = parseFloat(car.engineSize);
+    if (!isNaN(engineSize) && (engineSize < 0.6 || engineSize > 8)) {
+        add('carEngineSize', `Engine size ${engineSize}L looks wrong (in litres, e.g. 1.6)`);
+    }
+
+    return issues;
+}
+
+// Report rows for every car, least complete first: [{ car, percent, missing, issues }],
+// plus a summary of the whole collection
+function buildQualityReport(cars, now = new Date()) {
+    const milesPerYear = cars.map(car => getMilesPerYear(car, now)).filter(value => value !== null);
+    const fences = milesPerYear.length >= MIN_CARS_FOR_OUTLIERS ? getOutlierFences(milesPerYear) : null;
+
+    const rows = cars.map(car => ({ car, ...getCompleteness(car), issues: getQualityIssues(car, fences, now) }))
+        .sort((a, b) => (a.percent - b.percent) || (b.issues.length - a.issues.length));
+
+    const missingCounts = new Map();
+    rows.forEach(row => row.missing.forEach(field => missingCounts.set(field.label, (missingCounts.get(field.label) || 0) + 1)));
+
+    return {
+        rows,
+        summary: {
+            averagePercent: rows.length > 0 ? Math.round(rows.reduce((sum, row) => sum + row.percent, 0) / rows.length) : 100,
+            completeCount: rows.filter(row => row.missing.length === 0).length,
+            withIssuesCount: rows.filter(row => row.issues.length > 0).length,
+            mostMissing: Array.from(missingCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5)
+        }
+    };
+}
+
+// Completeness bar for the report, coloured from red (empty) to green (complete)
+function renderCompletenessBar(percent) {
+    const level = percent >= 80 ? 'high' : percent >= 50 ? 'medium' : 'low';
+    return `<div class="quality-bar quality-bar-${level}" title="${percent}% complete"><div style="width: ${percent}%"></div><span>${percent}%</span></div>`;
+}
+
+// Export data quality functions to global scope
+if (typeof window !== 'undefined') {
+    window.DataQuality = {
+        QUALITY_FIELDS,
+        getCompleteness,
+        getQualityIssues,
+        buildQualityReport,
+        renderCompletenessBar
+    };
+}
@@ -0,0 +1,189 @@
+// Duplicates - Finds cars saved more than once (same registration, same listing or a similar advert) and merges them
+
+// How close two adverts must be to count as a possible duplicate
+const SIMILAR_SPEC_THRESHOLD = 0.6;
+const MILEAGE_TOLERANCE = { absolute: 1000, fraction: 0.03 };
+const PRICE_TOLERANCE = { absolute: 500, fraction: 0.1 };
+
+// Fields compared when merging a pair. Unlike an import, the registration can differ
+// (e.g. when one copy was added without it).
+const DUPLICATE_FIELDS = [{ key: 'registration', label: 'Registration' }].concat(ImportMerge.MERGE_FIELDS);
+
+// Pairs marked "not duplicates", by pair key, so they aren't suggested again
+let dismissedPairs = new Set();
+
+// Key for a pair of cars that doesn't depend on their order
+function getPairKey(carA, carB) {
+    return [carA.id, carB.id].sort((a, b) => String(a).localeCompare(String(b))).join('-');
+}
+
+// Lowercase words and numbers in a spec, e.g. "2.0 TDI GT 5dr" -> ["2.0", "tdi", "gt", "5dr"]
+function getSpecTokens(spec) {
+    return String(spec || '').toLowerCase().match(/\d+\.\d+|[a-z0-9]+/g) || [];
+}
+
+// Share of spec words the two cars have in common (0 to 1, Jaccard similarity)
+function getSpecSimilarity(carA, carB) {
+    const tokensA = new Set(getSpecTokens(carA.spec));
+    const tokensB = new Set(getSpecTokens(carB.spec));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const shared = Array.from(tokensA).filter(token => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+}
+
+// When a car was added (cars without a timestamp fall back to their ID, which grows over time)
+function getCarAddedTime(car) {
+    const time = new Date(car.timestamp || 0).getTime();
+    return isNaN(time) || time === 0 ? Number(car.id) || 0 : time;
+}
+
+// Whether two numbers are within an absolute amount or a fraction of the larger one
+function isWithinTolerance(a, b, { absolute, fraction }) {
+    const allowed = Math.max(absolute, Math.max(a, b) * fraction);
+    return Math.abs(a - b) <= allowed;
+}
+
+// Similarity of two adverts with different (or missing) registrations: the spec must mostly
+// match and the mileage be close; the price, year and engine must agree when both cars have them.
+// Returns a score from 0 to 1, or null when they aren't alike enough.
+function getAdvertSimilarity(carA, carB) {
+    const specSimilarity = getSpecSimilarity(carA, carB);
+    if (specSimilarity < SIMILAR_SPEC_THRESHOLD) return null;
+
+    const mileageA = CarUtils.toNumber(carA.mileage);
+    const mileageB = CarUtils.toNumber(carB.mileage);
+    if (mileageA === null || mileageB === null || !isWithinTolerance(mileageA, mileageB, MILEAGE_TOLERANCE)) return null;
+
+    const priceA = CarUtils.toNumber(carA.price);
+    const priceB = CarUtils.toNumber(carB.price);
+    if (priceA !== null && priceB !== null && !isWithinTolerance(priceA, priceB, PRICE_TOLERANCE)) return null;
+
+    const yearA = CarUtils.getCarYear(carA);
+    const yearB = CarUtils.getCarYear(carB);
+    if (yearA !== null && yearB !== null && yearA !== yearB) return null;
+
+    const engineA = CarUtils.toNumber(carA.engineSize);
+    const engineB = CarUtils.toNumber(carB.engineSize);
+    if (engineA !== null && engineB !== null && engineA !== engineB) return null;
+
+    const mileageScore = 1 - Math.abs(mileageA - mileageB) / Math.max(mileageA, mileageB, 1);
+    const priceScore = priceA !== null && priceB !== null ? 1 - Math.abs(priceA - priceB) / Math.max(priceA, priceB, 1) : 1;
+    return (specSimilarity + mileageScore + priceScore) / 3;
+}
+
+// Find likely duplicate pairs in a collection. Each pair is { carA, carB, reasons, exact, similarity },
+// with carA the car added first. Exact matches (registration or listing ID) come first.
+function findDuplicatePairs(cars) {
+    const pairs = new Map();
+    const addPair = (carA, carB, reason, exact, similarity = 1) => {
+        if (carA.id === carB.id) return;
+        const key = getPairKey(carA, carB);
+        if (dismissedPairs.has(key)) return;
+        const [first, second] = getCarAddedTime(carA) <= getCarAddedTime(carB) ? [carA, carB] : [carB, carA];
+        const pair = pairs.get(key) || { key, carA: first, carB: second, reasons: [], exact: false, similarity: 0 };
+        pair.reasons.push(reason);
+        pair.exact = pair.exact || exact;
+        pair.similarity = Math.max(pair.similarity, similarity);
+        pairs.set(key, pair);
+    };
+
+    // Group by registration and by listing ID; every pair within a group is a duplicate
+    const groupBy = getKey => {
+        const groups = new Map();
+        cars.forEach(car => {
+            const key = getKey(car);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(car);
+        });
+        return Array.from(groups.entries()).filter(([, group]) => group.length > 1);
+    };
+    const eachPair = (group, callback) => {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) callback(group[i], group[j]);
+        }
+    };
+
+    groupBy(car => CarUtils.normalizeRegistration(car.registration || '')).forEach(([registration, group]) => {
+        eachPair(group, (carA, carB) => addPair(carA, carB, `Same registration (${registration})`, true));
+    });
+
+    groupBy(car => ListingUrls.getListingKey(car.websiteLink)).forEach(([listingKey, group]) => {
+        const listing = ListingUrls.identifyListing(group[0].websiteLink);
+        eachPair(group, (carA, carB) => addPair(carA, carB, `Same ${listing.siteName} listing (${listingKey.split(':').slice(1).join(':')})`, true));
+    });
+
+    // Similar adverts, e.g. the same car listed on two sites. Cars with two different
+    // registrations are different cars however alike their adverts are.
+    eachPair(cars, (carA, carB) => {
+        const regA = CarUtils.normalizeRegistration(carA.registration || '');
+        const regB = CarUtils.normalizeRegistration(carB.registration || '');
+        if (regA && regB && regA !== regB) return;
+        if (regA && regA === regB) return;
+        const similarity = getAdvertSimilarity(carA, carB);
+        if (similarity !== null) {
+            addPair(carA, carB, `Similar spec, mileage and price (${Math.round(similarity * 100)}% alike)`, false, similarity);
+        }
+    });
+
+    return Array.from(pairs.values()).sort((a, b) => (b.exact - a.exact) || (b.similarity - a.similarity));
+}
+
+// Fields whose values differ between the two cars of a pair
+function getDifferingFields(pair) {
+    return DUPLICATE_FIELDS.filter(field => !ImportMerge.mergeValuesEqual(pair.carA[field.key], pair.carB[field.key]));
+}
+
+// Which car to take a field from by default: the one that has a value, otherwise the newer one
+function getDefaultChoice(pair, key) {
+    const { carA, carB } = pair;
+    if (ImportMerge.isEmptyMergeValue(carA[key])) return 'b';
+    if (ImportMerge.isEmptyMergeValue(carB[key])) return 'a';
+    return ImportMerge.getCarModifiedTime(carB) > ImportMerge.getCarModifiedTime(carA) ? 'b' : 'a';
+}
+
+// Build the merged car for a pair. 'choices' maps field key -> 'a' or 'b'. The merged car keeps
+// car A's ID; price history, appointments and MOT/service history from both are combined.
+function mergeDuplicatePair(pair, choices) {
+    const { carA, carB } = pair;
+    const merged = { ...carA };
+
+    getDifferingFields(pair).forEach(field => {
+        const choice = choices[field.key] || getDefaultChoice(pair, field.key);
+        if (choice === 'b') {
+            merged[field.key] = carB[field.key];
+        }
+    });
+
+    merged.priceHistory = PriceHistory.mergePriceHistories(carA, carB, merged.price);
+    merged.appointments = CarAppointments.mergeAppointments(carA, carB);
+    merged.history = CarHistory.mergeHistory(carA, carB);
+    return merged;
+}
+
+async function loadDismissedDuplicates() {
+    try {
+        const saved = await InputStorage.get('dismissedDuplicatePairs');
+        dismissedPairs = new Set(Array.isArray(saved) ? saved : []);
+    } catch (error) {
+        console.error('Error loading dismissed duplicates:', error);
+    }
+}
+
+// Remember that a pair isn't a duplicate
+async function dismissDuplicatePair(pair) {
+    dismissedPairs.add(pair.key);
+    await InputStorage.save('dismissedDuplicatePairs', Array.from(dismissedPairs));
+}
+
+// Export duplicate functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarDuplicates = {
+        findDuplicatePairs,
+        getDifferingFields,
+        getDefaultChoice,
+        mergeDuplicatePair,
+        loadDismissedDuplicates,
+        dismissDuplicatePair
+    };
+}
@@ -0,0 +1,126 @@
+// Finance - Hire purchase (HP) and PCP repayment calculations for cars offered on finance
+
+// Finance types. PCP defers part of the price to an optional final (balloon) payment.
+const FINANCE_TYPES = [
+    { key: 'HP', label: 'Hire Purchase (HP)' },
+    { key: 'PCP', label: 'Personal Contract Purchase (PCP)' }
+];
+
+function findFinanceType(key) {
+    return FINANCE_TYPES.find(type => type.key === key) || null;
+}
+
+// Get the finance terms saved on a car (null when the car isn't being bought on finance)
+function getFinanceTerms(car) {
+    if (!car || !findFinanceType(car.financeType)) return null;
+    return {
+        type: car.financeType,
+        price: CarUtils.toNumber(car.price),
+        deposit: CarUtils.toNumber(car.financeDeposit) || 0,
+        termMonths: CarUtils.toNumber(car.financeTermMonths),
+        apr: CarUtils.toNumber(car.financeApr),
+        balloon: car.financeType === 'PCP' ? CarUtils.toNumber(car.financeBalloon) || 0 : 0
+    };
+}
+
+// Work out the repayments for a set of terms. APR is the representative (effective annual)
+// rate, so the monthly rate is its twelfth root. Returns { error } when the terms don't add up.
+function calculateFinance({ type, price, deposit, termMonths, apr, balloon }) {
+    if (price === null || price <= 0) return { error: 'Add a price to work out repayments' };
+    if (!termMonths || termMonths < 1) return { error: 'Enter a term in months' };
+    if (apr === null || apr < 0) return { error: 'Enter the APR' };
+    if (deposit < 0 || deposit >= price) return { error: 'Deposit must be less than the price' };
+
+    const credit = price - deposit;
+    const finalPayment = type === 'PCP' ? balloon : 0;
+    if (finalPayment < 0 || finalPayment >= credit) return { error: 'Final payment must be less than the amount borrowed' };
+
+    const months = Math.round(termMonths);
+    const monthlyRate = Math.pow(1 + apr / 100, 1 / 12) - 1;
+    let monthly;
+    if (monthlyRate === 0) {
+        monthly = (credit - finalPayment) / months;
+    } else {
+        const discountedFinal = finalPayment / Math.pow(1 + monthlyRate, months);
+        monthly = (credit - discountedFinal) * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+    }
+
+    const totalPayable = deposit + monthly * months + finalPayment;
+    return {
+        type,
+        months,
+        deposit,
+        credit,
+        monthly,
+        finalPayment,
+        totalPayable,
+        totalInterest: totalPayable - price
+    };
+}
+
+// Monthly payment for a car on finance (null when it has no terms or they don't add up)
+function getMonthlyPayment(car) {
+    const terms = getFinanceTerms(car);
+    if (!terms) return null;
+    const result = calculateFinance(terms);
+    return result.error ? null : result.monthly;
+}
+
+function formatFinanceAmount(amount) {
+    return `£${amount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Monthly payment cell for the table and cards
+function renderMonthlyPaymentCell(car) {
+    const monthly = getMonthlyPayment(car);
+    if (monthly === null) return '';
+    const terms = getFinanceTerms(car);
+    return `<span class="finance-monthly" title="${terms.type} over ${terms.termMonths} months at ${terms.apr}% APR">${formatFinanceAmount(monthly)}<small>/mo ${terms.type}</small></span>`;
+}
+
+// Repayment summary for the form, compared against paying cash
+function renderFinanceSummary(car) {
+    const terms = getFinanceTerms(car);
+    if (!terms) {
+        return '<p class="price-timeline-empty">Choose HP or PCP to work out monthly repayments</p>';
+    }
+
+    const result = calculateFinance(terms);
+    if (result.error) {
+        return `<p class="finance-error">${result.error}</p>`;
+    }
+
+    const rows = [
+        ['Cash price', formatFinanceAmount(terms.price)],
+        ['Deposit', formatFinanceAmount(result.deposit)],
+        ['Amount borrowed', formatFinanceAmount(result.credit)],
+        [`${result.months} monthly payments`, formatFinanceAmount(result.monthly)]
+    ];
+    if (result.type === 'PCP') {
+        rows.push(['Optional final payment', formatFinanceAmount(result.finalPayment)]);
+    }
+    rows.push(['Total interest', formatFinanceAmount(result.totalInterest)]);
+
+    return `
+        <table class="tco-table finance-table">
+            <tbody>
+                ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+                <tr class="tco-total"><td>Total amount payable</td><td>${formatFinanceAmount(result.totalPayable)}</td></tr>
+            </tbody>
+        </table>
+        ${result.type === 'PCP' ? '<p class="tco-note">Total assumes you pay the final payment and keep the car.</p>' : ''}
+    `;
+}
+
+// Export finance functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarFinance = {
+        FINANCE_TYPES,
+        getFinanceTerms,
+        calculateFinance,
+        getMonthlyPayment,
+        formatFinanceAmount,
+        renderMonthlyPaymentCell,
+        renderFinanceSummary
+    };
+}
@@ -0,0 +1,185 @@
+// Vehicle History - Structured MOT and service records, the history timeline and mileage checks
+
+const HISTORY_TYPES = ['MOT', 'Service'];
+const MOT_RESULTS = ['Pass', 'Fail'];
+
+// Filters offered for a car's history, by the key stored in the filter state
+const HISTORY_FILTERS = {
+    noRecentFailures: { label: 'No MOT failures in 3 years', matches: car => !hasMotFailureSince(car, yearsAgo(3)) },
+    recentMotPass: { label: 'Passed MOT in last year', matches: car => hasMotPassSince(car, yearsAgo(1)) },
+    hasHistory: { label: 'Has history records', matches: car => getHistory(car).length > 0 },
+    noHistory: { label: 'No history records', matches: car => getHistory(car).length === 0 },
+    mileageRollback: { label: 'Suspicious mileage', matches: car => getMileageRollbacks(car).length > 0 }
+};
+
+// Get a car's history entries (cars saved before history existed have none)
+function getHistory(car) {
+    return car && Array.isArray(car.history) ? car.history : [];
+}
+
+// Split multi-line text into a list of items, dropping blank lines
+function splitHistoryItems(text) {
+    return String(text || '').split(/\r?\n/).map(item => item.trim()).filter(Boolean);
+}
+
+// Create a history entry from form values. advisories and failures are one item per line.
+function createHistoryEntry({ type, date, mileage, result, advisories, failures, garage, notes }) {
+    const entryType = HISTORY_TYPES.includes(type) ? type : HISTORY_TYPES[0];
+    const parsedMileage = parseFloat(mileage);
+    const entry = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        type: entryType,
+        date,
+        mileage: isNaN(parsedMileage) ? null : parsedMileage,
+        garage: garage || '',
+        notes: notes || ''
+    };
+    if (entryType === 'MOT') {
+        entry.result = MOT_RESULTS.includes(result) ? result : MOT_RESULTS[0];
+        entry.advisories = splitHistoryItems(advisories);
+        entry.failures = splitHistoryItems(failures);
+    }
+    return entry;
+}
+
+// History entries oldest first (undated entries last)
+function getSortedHistory(car) {
+    return [...getHistory(car)].sort((a, b) => String(a.date || '9999').localeCompare(String(b.date || '9999')));
+}
+
+function yearsAgo(years, now = new Date()) {
+    const date = new Date(now);
+    date.setFullYear(date.getFullYear() - years);
+    return date.toISOString().split('T')[0];
+}
+
+function hasMotFailureSince(car, sinceDate) {
+    return getHistory(car).some(entry => entry.type === 'MOT' && entry.result === 'Fail' && entry.date >= sinceDate);
+}
+
+function hasMotPassSince(car, sinceDate) {
+    return getHistory(car).some(entry => entry.type === 'MOT' && entry.result === 'Pass' && entry.date >= sinceDate);
+}
+
+// Latest MOT entry (null if none recorded)
+function getLatestMot(car) {
+    const mots = getSortedHistory(car).filter(entry => entry.type === 'MOT' && entry.date);
+    return mots.length > 0 ? mots[mots.length - 1] : null;
+}
+
+// Mileage readings in date order: every dated history entry with a mileage, then the
+// advertised mileage as the latest reading
+function getMileageReadings(car) {
+    const readings = getSortedHistory(car)
+        .filter(entry => entry.date && entry.mileage !== null && entry.mileage !== undefined)
+        .map(entry => ({ date: entry.date, mileage: entry.mileage, label: `${entry.type} ${formatHistoryDate(entry.date)}`, entryId: entry.id }));
+    const advertised = parseFloat(car.mileage);
+    if (!isNaN(advertised) && readings.length > 0) {
+        readings.push({ date: null, mileage: advertised, label: 'Advertised mileage', entryId: null });
+    }
+    return readings;
+}
+
+// Readings lower than an earlier one - a sign the odometer may have been wound back.
+// Each rollback gives the reading and the highest earlier reading it fell below.
+function getMileageRollbacks(car) {
+    const rollbacks = [];
+    let highest = null;
+    getMileageReadings(car).forEach(reading => {
+        if (highest && reading.mileage < highest.mileage) {
+            rollbacks.push({ reading, previous: highest });
+        }
+        if (!highest || reading.mileage > highest.mileage) {
+            highest = reading;
+        }
+    });
+    return rollbacks;
+}
+
+// Combine two copies of a car's history (when merging an import), keeping each entry once
+function mergeHistory(carA, carB) {
+    const byId = new Map();
+    getHistory(carA).concat(getHistory(carB)).forEach(entry => {
+        if (!byId.has(entry.id)) byId.set(entry.id, { ...entry });
+    });
+    return Array.from(byId.values());
+}
+
+function formatHistoryDate(date) {
+    if (!date) return 'Undated';
+    const parsed = new Date(`${date}T00:00`);
+    return isNaN(parsed.getTime()) ? date : parsed.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Short history summary for cards, e.g. "MOT passed Mar 2024 · 2 advisories" (empty if no MOT)
+function renderHistorySummary(car) {
+    const mot = getLatestMot(car);
+    const rollbackWarning = getMileageRollbacks(car).length > 0 ? ' <span class="history-warning" title="A mileage reading is lower than an earlier one">⚠️ Mileage</span>' : '';
+    if (!mot) return rollbackWarning.trim();
+
+    const advisories = mot.advisories ? mot.advisories.length : 0;
+    const month = new Date(`${mot.date}T00:00`).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+    return `<span class="${mot.result === 'Fail' ? 'history-fail' : 'history-pass'}">MOT ${mot.result === 'Fail' ? 'failed' : 'passed'} ${month}</span>` +
+        `${advisories > 0 ? ` · ${advisories} advisor${advisories === 1 ? 'y' : 'ies'}` : ''}${rollbackWarning}`;
+}
+
+// Mileage warning badge for the table's mileage cell ('' when readings go up as expected)
+function renderMileageWarning(car) {
+    const rollbacks = getMileageRollbacks(car);
+    if (rollbacks.length === 0) return '';
+    const details = rollbacks.map(({ reading, previous }) =>
+        `${reading.label}: ${reading.mileage.toLocaleString('en-GB')} mi, below ${previous.mileage.toLocaleString('en-GB')} mi at ${previous.label}`).join('\n');
+    return ` <span class="history-warning" title="Mileage went down:\n${escapeHtml(details)}">⚠️</span>`;
+}
+
+// Timeline for the edit form, newest first. Items carry data-history-id for the delete buttons.
+function renderHistoryTimeline(car) {
+    const history = getSortedHistory(car);
+    if (history.length === 0) {
+        return '<p class="price-timeline-empty">No MOT or service records yet</p>';
+    }
+
+    const rollbackIds = new Set(getMileageRollbacks(car).map(({ reading }) => reading.entryId));
+    const advertisedRollback = getMileageRollbacks(car).find(({ reading }) => reading.entryId === null);
+    const list = items => items.length > 0 ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+
+    const entries = history.map(entry => {
+        const badgeClass = entry.type === 'Service' ? 'history-badge-service' : entry.result === 'Fail' ? 'history-badge-fail' : 'history-badge-pass';
+        const badge = entry.type === 'Service' ? 'Service' : `MOT ${entry.result}`;
+        return `
+            <li class="history-entry" data-history-id="${entry.id}">
+                <div class="history-entry-header">
+                    <span class="price-timeline-date">${formatHistoryDate(entry.date)}</span>
+                    <span class="history-badge ${badgeClass}">${badge}</span>
+                    ${entry.mileage !== null && entry.mileage !== undefined ? `<span>${entry.mileage.toLocaleString('en-GB')} mi${rollbackIds.has(entry.id) ? ' <span class="history-warning" title="Lower than an earlier reading">⚠️ lower than before</span>' : ''}</span>` : ''}
+                    ${entry.garage ? `<span class="history-garage">${escapeHtml(entry.garage)}</span>` : ''}
+                    <button type="button" class="btn-icon btn-delete history-delete-btn" title="Delete record">✕</button>
+                </div>
+                ${entry.failures && entry.failures.length > 0 ? `<div class="history-items history-failures"><strong>Failures</strong>${list(entry.failures)}</div>` : ''}
+                ${entry.advisories && entry.advisories.length > 0 ? `<div class="history-items history-advisories"><strong>Advisories</strong>${list(entry.advisories)}</div>` : ''}
+                ${entry.notes ? `<div class="history-notes">${escapeHtml(entry.notes)}</div>` : ''}
+            </li>
+        `;
+    }).reverse().join('');
+
+    const warning = advertisedRollback
+        ? `<p class="history-warning-note">⚠️ The advertised mileage (${advertisedRollback.reading.mileage.toLocaleString('en-GB')} mi) is lower than the ${advertisedRollback.previous.label} reading (${advertisedRollback.previous.mileage.toLocaleString('en-GB')} mi).</p>`
+        : '';
+    return `${warning}<ul class="history-timeline">${entries}</ul>`;
+}
+
+// Export vehicle history functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarHistory = {
+        HISTORY_TYPES,
+        HISTORY_FILTERS,
+        getHistory,
+        createHistoryEntry,
+        getLatestMot,
+        getMileageRollbacks,
+        mergeHistory,
+        renderHistorySummary,
+        renderMileageWarning,
+        renderHistoryTimeline
+    };
+}
@@ -0,0 +1,124 @@
+// Import Merge - Compares imported cars with existing ones and merges conflicting fields
+
+// Fields compared when an imported car matches an existing registration
+const MERGE_FIELDS = CSV_CAR_FIELDS
+    .filter(field => field.key !== 'registration')
+    .map(field => ({ key: field.key, label: field.label }))
+    .concat([
+        { key: 'starred', label: 'Starred' },
+        { key: 'flagged', label: 'Flagged' }
+    ]);
+
+// Lists of records that are merged by ID rather than compared as fields. Records that are
+// only in the incoming car are always added, so they count as a change on their own.
+const MERGED_RECORDS = [
+    { key: 'appointments', label: 'appointment', get: car => CarAppointments.getAppointments(car), merge: (a, b) => CarAppointments.mergeAppointments(a, b) },
+    { key: 'history', label: 'MOT/service record', get: car => CarHistory.getHistory(car), merge: (a, b) => CarHistory.mergeHistory(a, b) }
+];
+
+// Merge strategies, usable globally or per field
+const MERGE_STRATEGIES = {
+    ours: 'Keep ours',
+    theirs: 'Take theirs',
+    newest: 'Keep newest'
+};
+
+// Treat missing, empty and false values as the same "no value"
+function isEmptyMergeValue(value) {
+    return value === null || value === undefined || value === '' || value === false;
+}
+
+function mergeValuesEqual(a, b) {
+    if (isEmptyMergeValue(a) && isEmptyMergeValue(b)) return true;
+    if (isEmptyMergeValue(a) || isEmptyMergeValue(b)) return false;
+    return String(a).trim() === String(b).trim();
+}
+
+// When a car was last changed (falls back to when it was added)
+function getCarModifiedTime(car) {
+    const time = new Date(car.updatedAt || car.timestamp || 0).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+// Records of each MERGED_RECORDS kind that the incoming car would add: [{ key, label, count }]
+function getNewRecords(existing, incoming) {
+    return MERGED_RECORDS
+        .map(({ key, label, get, merge }) => ({ key, label, count: merge(existing, incoming).length - get(existing).length }))
+        .filter(records => records.count > 0);
+}
+
+// Sort incoming cars into new, identical and conflicting against the existing collection.
+// A conflict lists the fields that differ and the records only the incoming car has.
+// Cars repeated within the file are only considered once.
+function buildImportPlan(existingCars, incomingCars) {
+    const existingByReg = new Map();
+    existingCars.forEach(car => {
+        const reg = CarUtils.normalizeRegistration(car.registration || '');
+        if (reg) existingByReg.set(reg, car);
+    });
+
+    const plan = { newCars: [], identical: [], conflicts: [], duplicatesInFile: 0 };
+    const seen = new Set();
+
+    incomingCars.forEach(incoming => {
+        const reg = CarUtils.normalizeRegistration(incoming.registration || '');
+        if (reg && seen.has(reg)) {
+            plan.duplicatesInFile++;
+            return;
+        }
+        if (reg) seen.add(reg);
+
+        const existing = reg ? existingByReg.get(reg) : null;
+        if (!existing) {
+            plan.newCars.push(incoming);
+            return;
+        }
+
+        const fields = MERGE_FIELDS.filter(field => !mergeValuesEqual(existing[field.key], incoming[field.key]));
+        const newRecords = getNewRecords(existing, incoming);
+        if (fields.length === 0 && newRecords.length === 0) {
+            plan.identical.push({ existing, incoming });
+        } else {
+            plan.conflicts.push({ registration: reg, existing, incoming, fields, newRecords });
+        }
+    });
+
+    return plan;
+}
+
+// Build the merged car for a conflict. 'choices' maps field key -> strategy.
+function resolveConflict(conflict, choices) {
+    const { existing, incoming } = conflict;
+    const incomingIsNewer = getCarModifiedTime(incoming) > getCarModifiedTime(existing);
+    const merged = { ...existing };
+
+    conflict.fields.forEach(field => {
+        const strategy = choices[field.key] || 'ours';
+        const takeTheirs = strategy === 'theirs' || (strategy === 'newest' && incomingIsNewer);
+        if (takeTheirs) {
+            merged[field.key] = incoming[field.key];
+        }
+    });
+
+    if (!mergeValuesEqual(merged.price, existing.price)) {
+        merged.priceHistory = PriceHistory.mergePriceHistories(existing, incoming, merged.price);
+    }
+    MERGED_RECORDS.forEach(({ key, merge }) => {
+        merged[key] = merge(existing, incoming);
+    });
+
+    return merged;
+}
+
+// Export import merge functions to global scope
+if (typeof window !== 'undefined') {
+    window.ImportMerge = {
+        MERGE_FIELDS,
+        MERGE_STRATEGIES,
+        isEmptyMergeValue,
+        mergeValuesEqual,
+        getCarModifiedTime,
+        buildImportPlan,
+        resolveConflict
+    };
+}
@@ -0,0 +1,306 @@
+// Listing Parser - Pulls car details out of advert text (or saved HTML) copied from listing sites
+
+// Labels sites use in their key specs lists, matched at the start of a line ("Mileage 45,000 miles",
+// "Body colour: Grey"). The value is the rest of the line, or the next line when the label stands alone.
+const SPEC_LABELS = {
+    mileage: ['mileage', 'odometer'],
+    year: ['year', 'registration year', 'reg year', 'first registered', 'manufactured year'],
+    engineSize: ['engine', 'engine size', 'engine capacity'],
+    fuelType: ['fuel type', 'fuel'],
+    transmission: ['gearbox', 'transmission'],
+    colors: ['body colour', 'body color', 'colour', 'color', 'exterior colour', 'exterior color'],
+    insuranceGroup: ['insurance group', 'insurance'],
+    contact: ['dealer', 'seller', 'sold by', 'dealership', 'private seller'],
+    price: ['price', 'cash price', 'asking price'],
+    registration: ['registration', 'reg', 'vrm', 'number plate']
+};
+
+// Automatic gearboxes go by many names in adverts
+const AUTOMATIC_PATTERN = /\b(automatic|auto|dsg|s[ -]?tronic|tiptronic|steptronic|cvt|powershift|multitronic|edc|easytronic|dct|semi-auto)\b/i;
+
+// Phrases after a price that mean it is a monthly finance figure rather than the cash price
+const MONTHLY_PRICE_PATTERN = /^\s*(?:\/\s*mo|p\/m|pm\b|per month|a month|\/month|monthly)/i;
+
+// The details the parser looks for, in form order. 'fieldId' is the car form input it fills.
+const PARSED_FIELDS = [
+    { key: 'registration', fieldId: 'carRegistration', label: 'Registration' },
+    { key: 'year', fieldId: 'carYear', label: 'Year' },
+    { key: 'spec', fieldId: 'carSpec', label: 'Spec' },
+    { key: 'price', fieldId: 'carPrice', label: 'Price' },
+    { key: 'engineSize', fieldId: 'carEngineSize', label: 'Engine Size' },
+    { key: 'mileage', fieldId: 'carMileage', label: 'Mileage' },
+    { key: 'transmission', fieldId: 'carTransmission', label: 'Transmission' },
+    { key: 'fuelType', fieldId: 'carFuelType', label: 'Fuel Type' },
+    { key: 'colors', fieldId: 'carColors', label: 'Colour' },
+    { key: 'insuranceGroup', fieldId: 'carInsuranceGroup', label: 'Insurance Group' },
+    { key: 'mpg', fieldId: 'carMpg', label: 'MPG' },
+    { key: 'contact', fieldId: 'carContact', label: 'Dealer' },
+    { key: 'websiteLink', fieldId: 'carWebsiteLink', label: 'Website Link' }
+];
+
+function parseListingNumber(text) {
+    const number = parseFloat(String(text).replace(/[£,\s]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Value for a spec label: the rest of its line, or the next line when the label is on its own.
+// Longer labels are tried first so "Engine size" isn't read as "Engine" with the value "size ...".
+function findLabelledValue(lines, labels) {
+    const sortedLabels = [...labels].sort((a, b) => b.length - a.length);
+    for (let i = 0; i < lines.length; i++) {
+        for (const label of sortedLabels) {
+            const match = lines[i].match(new RegExp(`^${escapeRegExp(label)}(?![a-z])\\s*[:\\-–]?\\s*(.*)$`, 'i'));
+            if (!match) continue;
+            const value = match[1].trim() || (lines[i + 1] || '').trim();
+            if (value) return { value, source: match[1].trim() ? lines[i] : `${lines[i]} ${lines[i + 1]}` };
+        }
+    }
+    return null;
+}
+
+// Cash price: the first £ amount that isn't followed by a monthly payment phrase
+function detectPrice(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.price);
+    if (labelled) {
+        const match = labelled.value.match(/£\s?([\d,]+(?:\.\d{2})?)/);
+        if (match) return { value: parseListingNumber(match[1]), source: labelled.source };
+    }
+
+    const pattern = /£\s?(\d{1,3}(?:,\d{3})+|\d{3,6})(?:\.\d{2})?/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 12);
+        const value = parseListingNumber(match[1]);
+        if (!MONTHLY_PRICE_PATTERN.test(after) && value >= 100) {
+            return { value, source: match[0] };
+        }
+    }
+    return null;
+}
+
+function detectMileage(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.mileage);
+    if (labelled) {
+        const match = labelled.value.match(/(\d{1,3}(?:,\d{3})+|\d+)/);
+        if (match) return { value: parseListingNumber(match[1]), source: labelled.source };
+    }
+    const match = text.match(/\b(\d{1,3}(?:,\d{3})+|\d{2,6})\s*(?:miles|mi)\b/i);
+    return match ? { value: parseListingNumber(match[1]), source: match[0] } : null;
+}
+
+// Year from "2017 (17 reg)", a year label, or the plate year in brackets
+function detectYear(text, lines) {
+    const withPlate = text.match(/\b((?:19[89]|20[0-3])\d)\s*\(\s*\w{2}\s*(?:reg|plate)\s*\)/i);
+    if (withPlate) return { value: withPlate[1], source: withPlate[0] };
+
+    const labelled = findLabelledValue(lines, SPEC_LABELS.year);
+    if (labelled) {
+        const match = labelled.value.match(/\b((?:19[89]|20[0-3])\d)\b/);
+        if (match) return { value: match[1], source: labelled.source };
+    }
+
+    const yearLine = lines.find(line => /^(?:19[89]|20[0-3])\d$/.test(line));
+    return yearLine ? { value: yearLine, source: yearLine } : null;
+}
+
+// Engine size in litres from "2.0L", "1,598cc" or an engine label
+function detectEngineSize(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.engineSize);
+    const candidates = labelled ? [{ text: labelled.value, source: labelled.source }] : [];
+    candidates.push({ text, source: null });
+
+    for (const candidate of candidates) {
+        const litres = candidate.text.match(/\b(\d\.\d)\s*(?:l\b|litre|liter)/i);
+        if (litres) return { value: parseFloat(litres[1]), source: candidate.source || litres[0] };
+        const cc = candidate.text.match(/\b(\d{1,2},?\d{3})\s*cc\b/i);
+        if (cc) return { value: Math.round(parseListingNumber(cc[1]) / 100) / 10, source: candidate.source || cc[0] };
+    }
+    return null;
+}
+
+// Fuel type, limited to the types the car form offers
+function detectFuelType(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.fuelType);
+    const labelledMatch = labelled && labelled.value.match(/\b(petrol|diesel)\b/i);
+    const match = labelledMatch || text.match(/\b(petrol|diesel)\b/i);
+    if (!match) return null;
+    return { value: match[1][0].toUpperCase() + match[1].slice(1).toLowerCase(), source: labelledMatch ? labelled.source : match[0] };
+}
+
+// Transmission from the gearbox label, or the first manual/automatic wording in the text
+function detectTransmission(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.transmission);
+    for (const candidate of labelled ? [labelled.value, text] : [text]) {
+        const match = candidate.match(new RegExp(`\\bmanual\\b|${AUTOMATIC_PATTERN.source}`, 'i'));
+        if (match) {
+            const source = candidate === text ? match[0] : labelled.source;
+            return { value: /manual/i.test(match[0]) ? 'Manual' : 'Automatic', source };
+        }
+    }
+    return null;
+}
+
+function detectColour(lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.colors);
+    if (!labelled) return null;
+    const colour = labelled.value.replace(/[^A-Za-z /-]/g, '').trim();
+    return colour && colour.length <= 30 ? { value: colour, source: labelled.source } : null;
+}
+
+function detectInsuranceGroup(lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.insuranceGroup);
+    const match = labelled && labelled.value.match(/\b(\d{1,2})[A-Z]?\b/);
+    if (!match) return null;
+    const group = parseInt(match[1], 10);
+    return group >= 1 && group <= 50 ? { value: group, source: labelled.source } : null;
+}
+
+function detectMpg(text) {
+    const match = text.match(/\b(\d{2,3}(?:\.\d)?)\s*mpg\b/i);
+    return match ? { value: parseFloat(match[1]), source: match[0] } : null;
+}
+
+// Dealer from a seller label, or a line naming a company (e.g. "Fine Motors Ltd")
+function detectContact(lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.contact);
+    if (labelled && labelled.value.length <= 80) return labelled;
+    const company = lines.find(line => line.length <= 80 && /\b(ltd|limited|motors|motor company|car sales|cars ltd|garage)\b\.?/i.test(line) && !/£/.test(line));
+    return company ? { value: company, source: company } : null;
+}
+
+// Registration from a label, or a current-style plate (AB12 CDE) anywhere in the text
+function detectRegistration(text, lines) {
+    const labelled = findLabelledValue(lines, SPEC_LABELS.registration);
+    if (labelled) {
+        const plate = UkPlates.parsePlate(labelled.value);
+        if (plate.valid && labelled.value.replace(/\s/g, '').length <= 8) {
+            return { value: plate.formatted, source: labelled.source };
+        }
+    }
+    for (const candidate of text.match(/\b[A-Z]{2}\d{2}\s?[A-Z]{3}\b/g) || []) {
+        const plate = UkPlates.parsePlate(candidate);
+        if (plate.valid) return { value: plate.formatted, source: candidate };
+    }
+    return null;
+}
+
+// Spec: the advert's subtitle (a line starting with the engine size, e.g. "2.0 TDI GT 5dr"),
+// with the make and model line above it when there is one
+function detectSpec(lines) {
+    const index = lines.findIndex(line => /^\d\.\d\s+[A-Za-z]/.test(line) && line.length <= 120 && !/£/.test(line));
+    if (index === -1) return null;
+    const previous = index > 0 ? lines[index - 1] : '';
+    const title = previous && previous.length <= 40 && !/\d{3,}|£|:/.test(previous) ? `${previous} ` : '';
+    return { value: `${title}${lines[index]}`, source: lines[index] };
+}
+
+function detectWebsiteLink(text) {
+    const match = text.match(/https?:\/\/[^\s"'<>]+/i);
+    if (!match) return null;
+    const cleaned = ListingUrls.cleanListingUrl(match[0]);
+    return cleaned ? { value: cleaned, source: match[0] } : null;
+}
+
+// Details from schema.org JSON-LD in saved HTML (Car/Vehicle/Product), which is more reliable than text
+function parseStructuredData(doc) {
+    const found = {};
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        let data;
+        try {
+            data = JSON.parse(script.textContent);
+        } catch (error) {
+            return;
+        }
+        const items = [].concat(data['@graph'] || data);
+        items.forEach(item => {
+            if (!item || !/car|vehicle|product/i.test([].concat(item['@type'] || '').join(' '))) return;
+            const offer = [].concat(item.offers || [])[0] || {};
+            const source = 'page data';
+            if (offer.price && !found.price) found.price = { value: parseListingNumber(offer.price), source };
+            if (item.mileageFromOdometer && !found.mileage) found.mileage = { value: parseListingNumber(item.mileageFromOdometer.value || item.mileageFromOdometer), source };
+            if (item.color && !found.colors) found.colors = { value: String(item.color), source };
+            if (item.vehicleTransmission && !found.transmission) {
+                found.transmission = { value: /manual/i.test(item.vehicleTransmission) ? 'Manual' : 'Automatic', source };
+            }
+            const fuel = item.fuelType || (item.vehicleEngine && item.vehicleEngine.fuelType);
+            if (fuel && /petrol|diesel/i.test(fuel) && !found.fuelType) {
+                found.fuelType = { value: /diesel/i.test(fuel) ? 'Diesel' : 'Petrol', source };
+            }
+            const year = String(item.vehicleModelDate || item.modelDate || item.productionDate || '').match(/\d{4}/);
+            if (year && !found.year) found.year = { value: year[0], source };
+            if (item.name && !found.spec) found.spec = { value: String(item.name).trim(), source };
+            const seller = offer.seller || item.seller;
+            if (seller && seller.name && !found.contact) found.contact = { value: String(seller.name).trim(), source };
+        });
+    });
+
+    const canonical = doc.querySelector('link[rel="canonical"], meta[property="og:url"]');
+    const canonicalUrl = canonical && (canonical.getAttribute('href') || canonical.getAttribute('content'));
+    if (canonicalUrl && ListingUrls.cleanListingUrl(canonicalUrl)) {
+        found.websiteLink = { value: ListingUrls.cleanListingUrl(canonicalUrl), source: 'page link' };
+    }
+    return found;
+}
+
+// Turn saved HTML into plain text lines (block elements on their own lines) plus its structured data
+function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const structured = parseStructuredData(doc);
+    doc.querySelectorAll('script, style, noscript, svg').forEach(element => element.remove());
+    doc.querySelectorAll('br, p, div, li, tr, dt, dd, h1, h2, h3, h4, h5, h6, section, article').forEach(element => {
+        element.insertAdjacentText('beforebegin', '\n');
+        element.insertAdjacentText('afterend', '\n');
+    });
+    return { text: doc.body ? doc.body.textContent : '', structured };
+}
+
+function looksLikeHtml(text) {
+    return /<\s*(html|body|div|head|meta|script)[\s>]/i.test(text);
+}
+
+// Parse advert text or HTML. Returns the detected fields in form order:
+// [{ key, fieldId, label, value, source }], where source is the text the value came from.
+function parseListingText(input) {
+    let text = String(input || '');
+    let structured = {};
+    if (looksLikeHtml(text) && typeof DOMParser !== 'undefined') {
+        ({ text, structured } = htmlToText(text));
+    }
+
+    const lines = text.split(/\r?\n|\s*\|\s*/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const flatText = lines.join('\n');
+
+    const detectors = {
+        registration: () => detectRegistration(flatText, lines),
+        year: () => detectYear(flatText, lines),
+        spec: () => detectSpec(lines),
+        price: () => detectPrice(flatText, lines),
+        engineSize: () => detectEngineSize(flatText, lines),
+        mileage: () => detectMileage(flatText, lines),
+        transmission: () => detectTransmission(flatText, lines),
+        fuelType: () => detectFuelType(flatText, lines),
+        colors: () => detectColour(lines),
+        insuranceGroup: () => detectInsuranceGroup(lines),
+        mpg: () => detectMpg(flatText),
+        contact: () => detectContact(lines),
+        websiteLink: () => detectWebsiteLink(flatText)
+    };
+
+    return PARSED_FIELDS.map(field => {
+        const detected = structured[field.key] || detectors[field.key]();
+        if (!detected || detected.value === null || detected.value === '') return null;
+        return { ...field, value: detected.value, source: detected.source };
+    }).filter(Boolean);
+}
+
+// Export listing parser functions to global scope
+if (typeof window !== 'undefined') {
+    window.ListingParser = {
+        PARSED_FIELDS,
+        parseListingText
+    };
+}
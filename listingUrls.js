@@ -0,0 +1,272 @@
+// Listing URLs - Registry of marketplace handlers that canonicalise listing URLs and extract listing IDs
+
+// Query parameters that only track where a click came from, removed from dealer site URLs
+const TRACKING_PARAMS = [
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+    'gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'ref', 'referrer', 'source'
+];
+
+// Query parameters dealer sites commonly use for a vehicle's ID
+const DEALER_ID_PARAMS = ['vehicleid', 'vehicle_id', 'stockid', 'stock_id', 'listingid', 'listing_id', 'advertid', 'id'];
+
+// Rules added from the UI: { name, host, keepParams: [...], idPattern }
+let customUrlRules = [];
+
+// Match a hostname against a site's domains (the domain itself or any subdomain)
+function hostMatches(hostname, hosts) {
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// First capture group of a pattern in the text (null when it doesn't match)
+function matchFirst(text, pattern) {
+    const match = text.match(pattern);
+    return match ? match[1] : null;
+}
+
+function withoutTrailingSlash(path) {
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+// Built-in site handlers, checked in order. clean(urlObj) returns the canonical URL and
+// getListingId(urlObj) the site's own ID for the listing (null if the URL isn't a listing).
+const LISTING_SITES = [
+    {
+        key: 'autotrader',
+        name: 'AutoTrader',
+        hosts: ['autotrader.co.uk', 'autotrader.com'],
+        clean: urlObj => `${urlObj.origin}${urlObj.pathname}`,
+        getListingId: urlObj => matchFirst(urlObj.pathname, /\/car-details\/(\d+)/)
+    },
+    {
+        key: 'motors',
+        name: 'Motors.co.uk',
+        hosts: ['motors.co.uk'],
+        clean: urlObj => `${urlObj.origin}${urlObj.pathname}`,
+        getListingId: urlObj => matchFirst(urlObj.pathname, /\/car-(\d+)/)
+    },
+    {
+        key: 'ebay',
+        name: 'eBay Motors',
+        hosts: ['ebay.co.uk', 'ebay.com'],
+        // Item URLs may include a title slug (/itm/title/123...), which eBay doesn't need
+        clean: urlObj => {
+            const id = matchFirst(urlObj.pathname, /\/itm\/(?:[^/]+\/)?(\d{9,})/);
+            return id ? `${urlObj.origin}/itm/${id}` : `${urlObj.origin}${urlObj.pathname}`;
+        },
+        getListingId: urlObj => matchFirst(urlObj.pathname, /\/itm\/(?:[^/]+\/)?(\d{9,})/)
+    },
+    {
+        key: 'gumtree',
+        name: 'Gumtree',
+        hosts: ['gumtree.com'],
+        clean: urlObj => `${urlObj.origin}${withoutTrailingSlash(urlObj.pathname)}`,
+        getListingId: urlObj => urlObj.pathname.startsWith('/p/') ? matchFirst(urlObj.pathname, /\/(\d{6,})\/?$/) : null
+    },
+    {
+        key: 'cargurus',
+        name: 'CarGurus',
+        hosts: ['cargurus.co.uk', 'cargurus.com'],
+        // The listing ID is in the path (/details/123), the hash (#listing=123) or the query
+        clean: urlObj => {
+            const id = getCarGurusListingId(urlObj);
+            if (!id || /\/details\/\d+/.test(urlObj.pathname)) return `${urlObj.origin}${urlObj.pathname}`;
+            return `${urlObj.origin}${urlObj.pathname}#listing=${id}`;
+        },
+        getListingId: urlObj => getCarGurusListingId(urlObj)
+    },
+    {
+        key: 'cazoo',
+        name: 'Cazoo',
+        hosts: ['cazoo.co.uk'],
+        clean: urlObj => `${urlObj.origin}${withoutTrailingSlash(urlObj.pathname)}`,
+        getListingId: urlObj => matchFirst(urlObj.pathname, /\/car-details\/([0-9a-f-]{8,})/i)
+    },
+    {
+        key: 'facebook',
+        name: 'Facebook Marketplace',
+        hosts: ['facebook.com', 'fb.com'],
+        // Mobile and web subdomains all point at the same item page
+        clean: urlObj => {
+            const id = matchFirst(urlObj.pathname, /\/marketplace\/item\/(\d+)/);
+            return id ? `https://www.facebook.com/marketplace/item/${id}/` : `${urlObj.origin}${urlObj.pathname}`;
+        },
+        getListingId: urlObj => matchFirst(urlObj.pathname, /\/marketplace\/item\/(\d+)/)
+    }
+];
+
+// Fallback for dealer websites and any other site: drop tracking parameters and the hash,
+// and take the listing ID from a vehicle ID parameter or a long number in the path
+const DEALER_SITE = {
+    key: 'dealer',
+    name: 'Dealer website',
+    hosts: [],
+    clean: urlObj => {
+        const params = new URLSearchParams(urlObj.search);
+        Array.from(params.keys())
+            .filter(key => TRACKING_PARAMS.includes(key.toLowerCase()) || key.toLowerCase().startsWith('utm_'))
+            .forEach(key => params.delete(key));
+        const query = params.toString();
+        return `${urlObj.origin}${urlObj.pathname}${query ? `?${query}` : ''}`;
+    },
+    getListingId: urlObj => {
+        const params = new URLSearchParams(urlObj.search);
+        for (const [key, value] of params) {
+            if (DEALER_ID_PARAMS.includes(key.toLowerCase()) && value) return value;
+        }
+        const segments = urlObj.pathname.split('/').filter(Boolean).reverse();
+        for (const segment of segments) {
+            const id = matchFirst(segment, /(?:^|[-_])(\d{5,})(?:$|[-_.])/);
+            if (id) return id;
+        }
+        return null;
+    }
+};
+
+function getCarGurusListingId(urlObj) {
+    return matchFirst(urlObj.pathname, /\/details\/(\d+)/) ||
+        matchFirst(urlObj.hash, /listing=(\d+)/) ||
+        new URLSearchParams(urlObj.search).get('listingId') ||
+        null;
+}
+
+// Build a site handler from a custom rule. Only the listed query parameters are kept.
+function createCustomSite(rule) {
+    const pattern = rule.idPattern ? new RegExp(rule.idPattern) : null;
+    return {
+        key: `custom:${rule.host}`,
+        name: rule.name || rule.host,
+        hosts: [rule.host],
+        custom: true,
+        clean: urlObj => {
+            const kept = new URLSearchParams();
+            (rule.keepParams || []).forEach(key => {
+                const value = urlObj.searchParams.get(key);
+                if (value !== null) kept.set(key, value);
+            });
+            const query = kept.toString();
+            return `${urlObj.origin}${urlObj.pathname}${query ? `?${query}` : ''}`;
+        },
+        getListingId: urlObj => pattern ? matchFirst(`${urlObj.pathname}${urlObj.search}`, pattern) : null
+    };
+}
+
+// Find the handler for a URL: custom rules first, then the built-in sites, then the dealer fallback
+function findListingSite(urlObj) {
+    const hostname = urlObj.hostname.toLowerCase();
+    const custom = customUrlRules.find(rule => hostMatches(hostname, [rule.host]));
+    if (custom) return createCustomSite(custom);
+    return LISTING_SITES.find(site => hostMatches(hostname, site.hosts)) || DEALER_SITE;
+}
+
+// Parse a URL, adding https:// when it was pasted without a scheme (null if it isn't a web URL)
+function parseListingUrl(url) {
+    const text = String(url || '').trim();
+    if (!text) return null;
+    try {
+        const urlObj = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+        const isWebUrl = (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') && urlObj.hostname.includes('.');
+        return isWebUrl ? urlObj : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Work out which site a listing URL is from: { site, siteName, url, listingId } (null if not a web URL)
+function identifyListing(url) {
+    const urlObj = parseListingUrl(url);
+    if (!urlObj) return null;
+    const site = findListingSite(urlObj);
+    return {
+        site: site.key,
+        siteName: site.name,
+        url: site.clean(urlObj),
+        listingId: site.getListingId(urlObj)
+    };
+}
+
+// Canonical version of a listing URL (null if it isn't a web URL)
+function cleanListingUrl(url) {
+    const listing = identifyListing(url);
+    return listing ? listing.url : null;
+}
+
+// Site-prefixed listing ID, e.g. "autotrader:202401011234567" (null when there isn't one).
+// Dealer sites all share one handler, so their keys include the host as well, e.g.
+// "dealer:examplemotors.co.uk:12345", to keep two dealers' stock numbers apart.
+function getListingKey(url) {
+    const listing = identifyListing(url);
+    if (!listing || !listing.listingId) return null;
+    if (listing.site === DEALER_SITE.key) {
+        const host = new URL(listing.url).hostname.toLowerCase().replace(/^www\./, '');
+        return `${listing.site}:${host}:${listing.listingId}`;
+    }
+    return `${listing.site}:${listing.listingId}`;
+}
+
+// Check a custom rule from the UI; returns an error message or null when it's usable
+function validateCustomRule(rule) {
+    if (!rule.host || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(rule.host)) {
+        return 'Enter the site\'s domain, e.g. example-motors.co.uk';
+    }
+    if (rule.idPattern) {
+        try {
+            // Matching an alternation with the empty string reports how many groups the pattern has
+            const groupCount = new RegExp(`${rule.idPattern}|`).exec('').length - 1;
+            if (groupCount === 0) {
+                return 'The listing ID pattern needs a capture group, e.g. /stock/(\\d+)';
+            }
+        } catch (error) {
+            return `The listing ID pattern isn't a valid regular expression: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+// Normalise a rule's fields as typed in the UI
+function createCustomRule({ name, host, keepParams, idPattern }) {
+    return {
+        name: String(name || '').trim(),
+        host: String(host || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''),
+        keepParams: String(keepParams || '').split(',').map(param => param.trim()).filter(Boolean),
+        idPattern: String(idPattern || '').trim()
+    };
+}
+
+async function loadCustomUrlRules() {
+    try {
+        const saved = await InputStorage.get('customUrlRules');
+        customUrlRules = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error loading custom URL rules:', error);
+    }
+    return customUrlRules;
+}
+
+async function saveCustomUrlRules(rules) {
+    customUrlRules = rules;
+    await InputStorage.save('customUrlRules', customUrlRules);
+}
+
+function getCustomUrlRules() {
+    return customUrlRules;
+}
+
+// Names of the sites with built-in support, for help text
+function getSupportedSiteNames() {
+    return LISTING_SITES.map(site => site.name);
+}
+
+// Export listing URL functions to global scope
+if (typeof window !== 'undefined') {
+    window.ListingUrls = {
+        identifyListing,
+        cleanListingUrl,
+        getListingKey,
+        validateCustomRule,
+        createCustomRule,
+        loadCustomUrlRules,
+        saveCustomUrlRules,
+        getCustomUrlRules,
+        getSupportedSiteNames
+    };
+}
@@ -0,0 +1,379 @@
+// Market Stats - Price model, averages and SVG charts for the dashboard view
+
+// Chart size in SVG units (charts scale to their container) and the space kept for the axes
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 280;
+const CHART_MARGIN = { top: 12, right: 16, bottom: 42, left: 64 };
+
+// Cars priced within this fraction of the expected price count as "about right"
+const FAIR_PRICE_BAND = 0.05;
+
+// A price model needs at least this many cars with a price, year and mileage
+const MIN_CARS_FOR_MODEL = 5;
+
+const VERDICT_COLOURS = { below: '#48bb78', fair: '#a0aec0', above: '#f56565', unknown: '#667eea' };
+
+// Price, year and mileage of a car as numbers (null when missing)
+function getCarStats(car) {
+    const price = CarUtils.toNumber(car.price);
+    return {
+        price: price !== null && price > 0 ? price : null,
+        year: CarUtils.getCarYear(car),
+        mileage: CarUtils.toNumber(car.mileage)
+    };
+}
+
+// Solve a small linear system (Gaussian elimination with partial pivoting); null if singular
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    return rows.map((row, i) => row[n] / row[i]);
+}
+
+// Fit log(price) = a + b × age + c × mileage by least squares, so prices fall by a steady
+// percentage per year and per mile. Returns { predict(year, mileage), count, r2 } or null
+// when there aren't enough cars (or they don't vary enough) to fit.
+function fitPriceModel(cars, now = new Date()) {
+    const samples = cars.map(getCarStats).filter(stats => stats.price && stats.year && stats.mileage !== null);
+    if (samples.length < MIN_CARS_FOR_MODEL) return null;
+
+    const currentYear = now.getFullYear();
+    // Mileage in 10,000s keeps the numbers in the normal equations a similar size
+    const features = stats => [1, currentYear - stats.year, stats.mileage / 10000];
+    const xtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const xty = [0, 0, 0];
+    samples.forEach(stats => {
+        const x = features(stats);
+        const y = Math.log(stats.price);
+        for (let i = 0; i < 3; i++) {
+            xty[i] += x[i] * y;
+            for (let j = 0; j < 3; j++) xtx[i][j] += x[i] * x[j];
+        }
+    });
+
+    const coefficients = solveLinearSystem(xtx, xty);
+    if (!coefficients) return null;
+
+    const predictLog = stats => features(stats).reduce((sum, value, i) => sum + value * coefficients[i], 0);
+    const meanLog = samples.reduce((sum, stats) => sum + Math.log(stats.price), 0) / samples.length;
+    const totalSquares = samples.reduce((sum, stats) => sum + Math.pow(Math.log(stats.price) - meanLog, 2), 0);
+    const residualSquares = samples.reduce((sum, stats) => sum + Math.pow(Math.log(stats.price) - predictLog(stats), 2), 0);
+
+    return {
+        count: samples.length,
+        r2: totalSquares > 0 ? 1 - residualSquares / totalSquares : 0,
+        predict: (year, mileage) => Math.exp(predictLog({ year, mileage }))
+    };
+}
+
+// How a car's price compares with the model: { expected, difference, percent, verdict }
+// where verdict is 'below', 'fair' or 'above' (null when the car can't be priced)
+function getPriceVerdict(car, model) {
+    const stats = getCarStats(car);
+    if (!model || !stats.price || !stats.year || stats.mileage === null) return null;
+    const expected = model.predict(stats.year, stats.mileage);
+    const difference = stats.price - expected;
+    const percent = difference / expected;
+    const verdict = percent < -FAIR_PRICE_BAND ? 'below' : percent > FAIR_PRICE_BAND ? 'above' : 'fair';
+    return { expected, difference, percent, verdict };
+}
+
+// Average price and mileage for each value of a field (e.g. fuelType): [{ group, count, averagePrice, averageMileage }]
+function getGroupAverages(cars, key) {
+    const groups = new Map();
+    cars.forEach(car => {
+        const group = car[key] || 'Not set';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(getCarStats(car));
+    });
+    const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    return Array.from(groups.entries()).map(([group, stats]) => ({
+        group,
+        count: stats.length,
+        averagePrice: average(stats.map(s => s.price).filter(v => v !== null)),
+        averageMileage: average(stats.map(s => s.mileage).filter(v => v !== null))
+    })).sort((a, b) => b.count - a.count);
+}
+
+// Round numbers for axis ticks covering min..max (about 'count' of them)
+function getNiceTicks(min, max, count = 5) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Math.round(tick * 1e6) / 1e6);
+    }
+    if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+    return ticks;
+}
+
+// Price histogram: bins of equal, round width: [{ from, to, cars }]
+function getPriceHistogram(cars, binCount = 8) {
+    const priced = cars.filter(car => getCarStats(car).price !== null);
+    if (priced.length === 0) return [];
+    const prices = priced.map(car => getCarStats(car).price);
+    const ticks = getNiceTicks(Math.min(...prices), Math.max(...prices), binCount);
+    const bins = ticks.slice(0, -1).map((from, i) => ({ from, to: ticks[i + 1], cars: [] }));
+    priced.forEach(car => {
+        const price = getCarStats(car).price;
+        const bin = bins.find((b, i) => price >= b.from && (price < b.to || i === bins.length - 1));
+        if (bin) bin.cars.push(car);
+    });
+    return bins;
+}
+
+function formatStatPrice(price) {
+    return `£${Math.round(price).toLocaleString('en-GB')}`;
+}
+
+function formatStatMileage(mileage) {
+    return mileage >= 1000 ? `${Math.round(mileage / 1000)}k` : String(Math.round(mileage));
+}
+
+function carStatLabel(car) {
+    return `${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}${car.spec ? ` - ${car.spec}` : ''}`;
+}
+
+// Axes, grid lines and tick labels for a chart. scaleX/scaleY map data values to SVG positions.
+function renderChartAxes({ xTicks, yTicks, scaleX, scaleY, formatX, formatY, xLabel, yLabel }) {
+    const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+    return `
+        ${yTicks.map(tick => `
+            <line class="chart-grid" x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${scaleY(tick)}" y2="${scaleY(tick)}"/>
+            <text class="chart-tick" x="${CHART_MARGIN.left - 6}" y="${scaleY(tick) + 4}" text-anchor="end">${formatY(tick)}</text>
+        `).join('')}
+        ${xTicks.map(tick => `
+            <text class="chart-tick" x="${scaleX(tick)}" y="${bottom + 16}" text-anchor="middle">${formatX(tick)}</text>
+        `).join('')}
+        <line class="chart-axis" x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${bottom}" y2="${bottom}"/>
+        <line class="chart-axis" x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left}" y1="${CHART_MARGIN.top}" y2="${bottom}"/>
+        <text class="chart-label" x="${(CHART_MARGIN.left + CHART_WIDTH - CHART_MARGIN.right) / 2}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${xLabel}</text>
+        <text class="chart-label" transform="translate(14 ${(CHART_MARGIN.top + bottom) / 2}) rotate(-90)" text-anchor="middle">${yLabel}</text>
+    `;
+}
+
+// Linear scale from a data range onto a pixel range
+function createScale([domainMin, domainMax], [rangeMin, rangeMax]) {
+    const span = domainMax - domainMin || 1;
+    return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+}
+
+// Scatter plot of price against another value. Points are coloured by the model's verdict and
+// carry data-car-id so the caller can open the car. curve(x) gives the expected price line.
+function renderScatterPlot(cars, { getX, formatX, xLabel, model, curve }) {
+    const points = cars.map(car => ({ car, x: getX(car), price: getCarStats(car).price }))
+        .filter(point => point.x !== null && point.price !== null);
+    if (points.length === 0) {
+        return '<p class="price-timeline-empty">Not enough cars with this information to plot</p>';
+    }
+
+    const xs = points.map(point => point.x);
+    const xTicks = getNiceTicks(Math.min(...xs), Math.max(...xs));
+    const yTicks = getNiceTicks(0, Math.max(...points.map(point => point.price)));
+    const scaleX = createScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right]);
+    const scaleY = createScale([yTicks[0], yTicks[yTicks.length - 1]], [CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+
+    let curvePath = '';
+    if (model && curve) {
+        const [from, to] = [xTicks[0], xTicks[xTicks.length - 1]];
+        const steps = 40;
+        const linePoints = [];
+        for (let i = 0; i <= steps; i++) {
+            const x = from + (to - from) * i / steps;
+            const price = curve(x);
+            if (price > 0 && price <= yTicks[yTicks.length - 1]) {
+                linePoints.push(`${scaleX(x).toFixed(1)},${scaleY(price).toFixed(1)}`);
+            }
+        }
+        if (linePoints.length > 1) {
+            curvePath = `<polyline class="chart-curve" points="${linePoints.join(' ')}"/>`;
+        }
+    }
+
+    const dots = points.map(({ car, x, price }) => {
+        const verdict = getPriceVerdict(car, model);
+        const colour = VERDICT_COLOURS[verdict ? verdict.verdict : 'unknown'];
+        const expectedText = verdict ? `\nExpected ${formatStatPrice(verdict.expected)} (${verdict.percent > 0 ? '+' : ''}${Math.round(verdict.percent * 100)}%)` : '';
+        return `<circle class="chart-point" data-car-id="${car.id}" cx="${scaleX(x).toFixed(1)}" cy="${scaleY(price).toFixed(1)}" r="5" fill="${colour}">
+            <title>${escapeHtml(carStatLabel(car))}\n${formatStatPrice(price)} · ${escapeHtml(formatX(x))}${expectedText}</title>
+        </circle>`;
+    }).join('');
+
+    return `<svg class="market-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">
+        ${renderChartAxes({ xTicks, yTicks, scaleX, scaleY, formatX, formatY: formatStatPrice, xLabel, yLabel: 'Price' })}
+        ${curvePath}
+        ${dots}
+    </svg>`;
+}
+
+// Bar chart of how many cars fall in each price band
+function renderPriceHistogram(cars) {
+    const bins = getPriceHistogram(cars);
+    if (bins.length === 0) {
+        return '<p class="price-timeline-empty">No prices to show</p>';
+    }
+
+    const xTicks = [bins[0].from, ...bins.map(bin => bin.to)];
+    const yTicks = getNiceTicks(0, Math.max(...bins.map(bin => bin.cars.length)), 4).filter(tick => Number.isInteger(tick));
+    const scaleX = createScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right]);
+    const scaleY = createScale([0, yTicks[yTicks.length - 1]], [CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+
+    const bars = bins.map(bin => {
+        const x = scaleX(bin.from) + 1;
+        const width = Math.max(1, scaleX(bin.to) - scaleX(bin.from) - 2);
+        const y = scaleY(bin.cars.length);
+        return `<rect class="chart-bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${width.toFixed(1)}" height="${(CHART_HEIGHT - CHART_MARGIN.bottom - y).toFixed(1)}">
+            <title>${formatStatPrice(bin.from)} - ${formatStatPrice(bin.to)}: ${bin.cars.length} car${bin.cars.length === 1 ? '' : 's'}</title>
+        </rect>`;
+    }).join('');
+
+    return `<svg class="market-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">
+        ${renderChartAxes({ xTicks, yTicks, scaleX, scaleY, formatX: formatStatPrice, formatY: String, xLabel: 'Price', yLabel: 'Cars' })}
+        ${bars}
+    </svg>`;
+}
+
+function renderAveragesTable(title, averages) {
+    return `
+        <table class="merge-table market-averages">
+            <thead><tr><th>${title}</th><th>Cars</th><th>Average Price</th><th>Average Mileage</th></tr></thead>
+            <tbody>
+                ${averages.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.group)}</td>
+                        <td>${row.count}</td>
+                        <td>${row.averagePrice !== null ? formatStatPrice(row.averagePrice) : '-'}</td>
+                        <td>${row.averageMileage !== null ? `${Math.round(row.averageMileage).toLocaleString('en-GB')} mi` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Draw the dashboard for the given cars into #marketDashboard. onOpen(carId) is called when
+// a point or a row is clicked.
+function renderMarketDashboard(cars, { onOpen }) {
+    const container = document.getElementById('marketDashboard');
+    if (!container) return;
+
+    const model = fitPriceModel(cars);
+    const stats = cars.map(getCarStats);
+    const prices = stats.map(s => s.price).filter(v => v !== null);
+    const years = stats.map(s => s.year).filter(v => v !== null);
+    const mileages = stats.map(s => s.mileage).filter(v => v !== null);
+    const typicalYear = years.length > 0 ? Math.round(median(years)) : null;
+    const typicalMileage = mileages.length > 0 ? median(mileages) : null;
+
+    const verdicts = cars.map(car => ({ car, verdict: getPriceVerdict(car, model) }))
+        .filter(item => item.verdict)
+        .sort((a, b) => a.verdict.percent - b.verdict.percent);
+
+    const summary = [
+        ['Cars', cars.length],
+        ['Average price', prices.length > 0 ? formatStatPrice(prices.reduce((sum, p) => sum + p, 0) / prices.length) : '-'],
+        ['Median price', prices.length > 0 ? formatStatPrice(median(prices)) : '-'],
+        ['Median mileage', typicalMileage !== null ? `${Math.round(typicalMileage).toLocaleString('en-GB')} mi` : '-'],
+        ['Median year', typicalYear || '-']
+    ];
+
+    const modelNote = model
+        ? `Expected prices come from a curve fitted to ${model.count} cars by age and mileage (explains ${Math.round(model.r2 * 100)}% of the price variation). Points are <span style="color: ${VERDICT_COLOURS.below};">●</span> more than ${FAIR_PRICE_BAND * 100}% below, <span style="color: ${VERDICT_COLOURS.fair};">●</span> about right or <span style="color: ${VERDICT_COLOURS.above};">●</span> more than ${FAIR_PRICE_BAND * 100}% above the expected price.`
+        : `Add a price, year and mileage to at least ${MIN_CARS_FOR_MODEL} cars to fit an expected price curve.`;
+
+    container.innerHTML = `
+        <div class="market-summary">
+            ${summary.map(([label, value]) => `<div><span>${label}</span><strong>${value}</strong></div>`).join('')}
+        </div>
+        <p class="description market-model-note">${modelNote}</p>
+        <div class="market-charts">
+            <div class="market-chart-card">
+                <h4>Price vs Mileage${model && typicalYear ? ` <small>(curve for a ${typicalYear} car)</small>` : ''}</h4>
+                ${renderScatterPlot(cars, {
+                    getX: car => getCarStats(car).mileage,
+                    formatX: formatStatMileage,
+                    xLabel: 'Mileage',
+                    model,
+                    curve: typicalYear ? mileage => model.predict(typicalYear, mileage) : null
+                })}
+            </div>
+            <div class="market-chart-card">
+                <h4>Price vs Year${model && typicalMileage !== null ? ` <small>(curve at ${formatStatMileage(typicalMileage)} miles)</small>` : ''}</h4>
+                ${renderScatterPlot(cars, {
+                    getX: car => getCarStats(car).year,
+                    formatX: year => String(Math.round(year)),
+                    xLabel: 'Year',
+                    model,
+                    curve: typicalMileage !== null ? year => model.predict(year, typicalMileage) : null
+                })}
+            </div>
+            <div class="market-chart-card">
+                <h4>Prices</h4>
+                ${renderPriceHistogram(cars)}
+            </div>
+            <div class="market-chart-card">
+                <h4>Averages</h4>
+                ${renderAveragesTable('Fuel Type', getGroupAverages(cars, 'fuelType'))}
+                ${renderAveragesTable('Transmission', getGroupAverages(cars, 'transmission'))}
+            </div>
+        </div>
+        ${verdicts.length > 0 ? `
+            <h4 class="market-verdicts-title">Price vs Expected</h4>
+            <table class="merge-table market-verdicts">
+                <thead><tr><th>Car</th><th>Year</th><th>Mileage</th><th>Price</th><th>Expected</th><th>Difference</th></tr></thead>
+                <tbody>
+                    ${verdicts.map(({ car, verdict }) => `
+                        <tr class="market-verdict-row" data-car-id="${car.id}">
+                            <td>${escapeHtml(carStatLabel(car))}</td>
+                            <td>${CarUtils.getCarYear(car) || ''}</td>
+                            <td>${Math.round(getCarStats(car).mileage).toLocaleString('en-GB')} mi</td>
+                            <td>${formatStatPrice(getCarStats(car).price)}</td>
+                            <td>${formatStatPrice(verdict.expected)}</td>
+                            <td class="market-verdict-${verdict.verdict}">${verdict.difference > 0 ? '+' : '-'}${formatStatPrice(Math.abs(verdict.difference))} (${verdict.percent > 0 ? '+' : ''}${Math.round(verdict.percent * 100)}%)</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `;
+
+    container.querySelectorAll('[data-car-id]').forEach(element => {
+        const car = cars.find(c => String(c.id) === element.getAttribute('data-car-id'));
+        if (car) element.addEventListener('click', () => onOpen(car.id));
+    });
+}
+
+// Export market stats functions to global scope
+if (typeof window !== 'undefined') {
+    window.MarketStats = {
+        fitPriceModel,
+        getPriceVerdict,
+        getGroupAverages,
+        getPriceHistogram,
+        renderMarketDashboard
+    };
+}
@@ -0,0 +1,263 @@
+// Photos - Per-car photo gallery: resizing, thumbnails, lightbox and backup export/import
+
+// Photos are scaled down before saving so a gallery doesn't fill up browser storage
+const MAX_PHOTO_DIMENSION = 1600;
+const THUMBNAIL_DIMENSION = 240;
+const PHOTO_QUALITY = 0.85;
+
+// First thumbnail and photo count for each car, for cards and table rows (carId -> summary)
+let photoSummaries = new Map();
+
+// Object URLs created for the open lightbox, revoked when it closes
+let lightboxUrls = [];
+
+// Get the image files from a FileList or DataTransferItemList-like array
+function getImageFiles(files) {
+    return Array.from(files || []).filter(file => file && file.type && file.type.startsWith('image/'));
+}
+
+// Scale an image down to fit within maxDimension and re-encode it as JPEG
+async function resizeImage(blob, maxDimension) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob);
+    } catch (error) {
+        throw new Error('This image format can\'t be read by the browser');
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    if (bitmap.close) bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(result => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error('Could not encode the image'));
+            }
+        }, 'image/jpeg', PHOTO_QUALITY);
+    });
+}
+
+// Build a photo record (full image plus thumbnail) for a car from an image blob
+async function createPhotoRecord(carId, blob, name) {
+    return {
+        carId,
+        name: name || 'Pasted image',
+        image: await resizeImage(blob, MAX_PHOTO_DIMENSION),
+        thumbnail: await resizeImage(blob, THUMBNAIL_DIMENSION)
+    };
+}
+
+// Save image files against a car. Returns { added, failed } where failed lists file names.
+async function addPhotos(carId, files) {
+    const result = { added: 0, failed: [] };
+    for (const file of getImageFiles(files)) {
+        try {
+            await PhotoStorage.add(await createPhotoRecord(carId, file, file.name));
+            result.added++;
+        } catch (error) {
+            console.error(`Error adding photo ${file.name}:`, error);
+            result.failed.push(file.name || 'image');
+        }
+    }
+    return result;
+}
+
+// Rebuild the per-car summaries used for thumbnails on cards and table rows
+async function loadPhotoSummaries() {
+    photoSummaries.forEach(summary => URL.revokeObjectURL(summary.thumbnailUrl));
+    photoSummaries = new Map();
+
+    try {
+        const photos = (await PhotoStorage.getAll()).sort((a, b) => a.id - b.id);
+        photos.forEach(photo => {
+            const summary = photoSummaries.get(photo.carId);
+            if (summary) {
+                summary.count++;
+            } else {
+                photoSummaries.set(photo.carId, { count: 1, thumbnailUrl: URL.createObjectURL(photo.thumbnail) });
+            }
+        });
+    } catch (error) {
+        console.error('Error loading photos:', error);
+    }
+}
+
+function getPhotoCount(carId) {
+    const summary = photoSummaries.get(carId);
+    return summary ? summary.count : 0;
+}
+
+// Small cover thumbnail for a card or table row ('' when the car has no photos)
+function renderCoverThumbnail(car, className = 'photo-thumb') {
+    const summary = photoSummaries.get(car.id);
+    if (!summary) return '';
+    const countLabel = summary.count > 1 ? `<span class="photo-count">${summary.count}</span>` : '';
+    return `<span class="${className} open-photos-btn" title="${summary.count} photo${summary.count === 1 ? '' : 's'} - click to view"><img src="${summary.thumbnailUrl}" alt="">${countLabel}</span>`;
+}
+
+// Show a car's photos full size, starting at the given one. Arrow keys move, Escape closes.
+async function openLightbox(carId, startIndex = 0) {
+    const photos = await PhotoStorage.getForCar(carId);
+    if (photos.length === 0) return;
+
+    closeLightbox();
+    lightboxUrls = photos.map(photo => URL.createObjectURL(photo.image));
+    let index = Math.min(Math.max(startIndex, 0), photos.length - 1);
+
+    const overlay = document.createElement('div');
+    overlay.id = 'photoLightbox';
+    overlay.className = 'photo-lightbox';
+    overlay.innerHTML = `
+        <button class="photo-lightbox-close" title="Close (Esc)">✕</button>
+        <button class="photo-lightbox-nav photo-lightbox-prev" title="Previous (←)">‹</button>
+        <figure>
+            <img class="photo-lightbox-image" alt="">
+            <figcaption class="photo-lightbox-caption"></figcaption>
+        </figure>
+        <button class="photo-lightbox-nav photo-lightbox-next" title="Next (→)">›</button>
+    `;
+    document.body.appendChild(overlay);
+
+    const show = () => {
+        overlay.querySelector('.photo-lightbox-image').src = lightboxUrls[index];
+        overlay.querySelector('.photo-lightbox-caption').textContent = `${index + 1} / ${photos.length} · ${photos[index].name}`;
+        overlay.querySelectorAll('.photo-lightbox-nav').forEach(button => {
+            button.style.visibility = photos.length > 1 ? 'visible' : 'hidden';
+        });
+    };
+    const move = step => {
+        index = (index + step + photos.length) % photos.length;
+        show();
+    };
+
+    overlay.querySelector('.photo-lightbox-prev').addEventListener('click', () => move(-1));
+    overlay.querySelector('.photo-lightbox-next').addEventListener('click', () => move(1));
+    overlay.querySelector('.photo-lightbox-close').addEventListener('click', closeLightbox);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeLightbox();
+    });
+    overlay.keyHandler = (e) => {
+        if (e.key === 'Escape') closeLightbox();
+        else if (e.key === 'ArrowLeft') move(-1);
+        else if (e.key === 'ArrowRight') move(1);
+    };
+    document.addEventListener('keydown', overlay.keyHandler);
+
+    show();
+}
+
+function closeLightbox() {
+    const overlay = document.getElementById('photoLightbox');
+    if (overlay) {
+        document.removeEventListener('keydown', overlay.keyHandler);
+        overlay.remove();
+    }
+    lightboxUrls.forEach(url => URL.revokeObjectURL(url));
+    lightboxUrls = [];
+}
+
+// Thumbnail grid for the edit form. onDelete(photo) is called from each photo's delete button.
+// Returns the object URLs created, so the caller can revoke them when the gallery is redrawn.
+async function renderPhotoGallery(container, carId, { onDelete }) {
+    const photos = await PhotoStorage.getForCar(carId);
+    if (photos.length === 0) {
+        container.innerHTML = '<p class="price-timeline-empty">No photos yet</p>';
+        return [];
+    }
+
+    const urls = photos.map(photo => URL.createObjectURL(photo.thumbnail));
+    container.innerHTML = photos.map((photo, index) => `
+        <div class="photo-gallery-item" data-photo-index="${index}">
+            <img src="${urls[index]}" alt="${escapeHtml(photo.name)}" title="${escapeHtml(photo.name)}">
+            <button type="button" class="btn-icon btn-delete photo-delete-btn" title="Delete photo">✕</button>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.photo-gallery-item').forEach(item => {
+        const index = parseInt(item.getAttribute('data-photo-index'), 10);
+        item.querySelector('img').addEventListener('click', () => openLightbox(carId, index));
+        item.querySelector('.photo-delete-btn').addEventListener('click', () => onDelete(photos[index]));
+    });
+    return urls;
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Photos of the given cars for a full backup, with images as data URLs so they fit in JSON.
+// Thumbnails are left out and rebuilt on import.
+async function exportPhotos(carIds) {
+    const ids = new Set(carIds);
+    const photos = (await PhotoStorage.getAll()).filter(photo => ids.has(photo.carId));
+    const exported = [];
+    for (const photo of photos) {
+        exported.push({
+            carId: photo.carId,
+            name: photo.name,
+            addedAt: photo.addedAt,
+            dataUrl: await blobToDataUrl(photo.image)
+        });
+    }
+    return exported;
+}
+
+// Import photos from a backup. carIdMap maps the car IDs in the file to the IDs the cars
+// were saved under; photos of cars that weren't imported, or already on the car, are skipped.
+async function importPhotos(photos, carIdMap) {
+    let imported = 0;
+    const existingNames = new Map();
+
+    for (const photo of photos) {
+        const carId = carIdMap.get(photo.carId);
+        if (carId === undefined || !photo.dataUrl) continue;
+
+        if (!existingNames.has(carId)) {
+            existingNames.set(carId, new Set((await PhotoStorage.getForCar(carId)).map(p => `${p.name}@${p.addedAt}`)));
+        }
+        const key = `${photo.name}@${photo.addedAt}`;
+        if (existingNames.get(carId).has(key)) continue;
+
+        try {
+            const blob = await (await fetch(photo.dataUrl)).blob();
+            const record = await createPhotoRecord(carId, blob, photo.name);
+            record.addedAt = photo.addedAt;
+            await PhotoStorage.add(record);
+            existingNames.get(carId).add(key);
+            imported++;
+        } catch (error) {
+            console.error(`Error importing photo ${photo.name}:`, error);
+        }
+    }
+    return imported;
+}
+
+// Export photo functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarPhotos = {
+        getImageFiles,
+        addPhotos,
+        loadPhotoSummaries,
+        getPhotoCount,
+        renderCoverThumbnail,
+        openLightbox,
+        closeLightbox,
+        renderPhotoGallery,
+        exportPhotos,
+        importPhotos
+    };
+}
@@ -0,0 +1,126 @@
+// Pipeline - Purchase pipeline statuses and the Kanban board that moves cars between them
+
+// Statuses in pipeline order. Stored on the car by name, like transmission and fuel type.
+const PIPELINE_STATUSES = [
+    { name: 'Found', colour: '#a0aec0' },
+    { name: 'Contacted', colour: '#4299e1' },
+    { name: 'Viewing Booked', colour: '#9f7aea' },
+    { name: 'Test Driven', colour: '#ed8936' },
+    { name: 'Offer Made', colour: '#ecc94b' },
+    { name: 'Bought', colour: '#48bb78' },
+    { name: 'Rejected', colour: '#f56565' }
+];
+
+const DEFAULT_STATUS = PIPELINE_STATUSES[0].name;
+
+function findStatus(name) {
+    return PIPELINE_STATUSES.find(status => status.name === name) || null;
+}
+
+// Get a car's status, treating missing or unknown values as the first stage
+function getCarStatus(car) {
+    return car && findStatus(car.status) ? car.status : DEFAULT_STATUS;
+}
+
+// Position of the car's status in the pipeline (used to sort by status)
+function getStatusOrder(car) {
+    return PIPELINE_STATUSES.findIndex(status => status.name === getCarStatus(car));
+}
+
+// Coloured badge showing the car's status
+function renderStatusBadge(car) {
+    const status = findStatus(getCarStatus(car));
+    return `<span class="status-badge" style="background: ${status.colour};">${status.name}</span>`;
+}
+
+function renderBoardCard(car) {
+    const details = [
+        car.year,
+        car.price ? CarUtils.formatPrice(car.price) : '',
+        car.mileage ? `${CarUtils.formatMileage(car.mileage)} mi` : ''
+    ].filter(Boolean).join(' · ');
+    const nextAppointment = CarAppointments.getNextAppointment(car);
+
+    return `
+        <div class="board-card" draggable="true" data-car-id="${car.id}" title="Drag to another column to change status, click to edit">
+            <div class="board-card-header">
+                <strong class="plate-text">${car.registration ? UkPlates.formatPlate(car.registration) : 'No Registration'}</strong>
+                <span>${car.starred ? '⭐' : ''}${car.flagged ? '🚩' : ''}</span>
+            </div>
+            ${car.spec ? `<div class="board-card-spec">${escapeHtml(car.spec)}</div>` : ''}
+            ${details ? `<div class="board-card-details">${details}</div>` : ''}
+            ${nextAppointment ? `<div class="board-card-details">${CarAppointments.formatAppointmentSummary(nextAppointment)}</div>` : ''}
+        </div>
+    `;
+}
+
+// Build the board: one column per status. onMove(carId, statusName) is called when a card
+// is dropped on another column, onOpen(carId) when a card is clicked.
+function renderKanbanBoard(cars, { onMove, onOpen }) {
+    const container = document.getElementById('kanbanBoard');
+    if (!container) return;
+
+    container.innerHTML = PIPELINE_STATUSES.map(status => {
+        const columnCars = cars.filter(car => getCarStatus(car) === status.name);
+        return `
+            <div class="board-column" data-status="${status.name}">
+                <div class="board-column-header" style="border-top-color: ${status.colour};">
+                    <span>${status.name}</span>
+                    <span class="board-column-count">${columnCars.length}</span>
+                </div>
+                <div class="board-column-body">
+                    ${columnCars.map(renderBoardCard).join('') || '<p class="board-column-empty">Drop cars here</p>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.board-card').forEach(card => {
+        const car = cars.find(c => String(c.id) === card.getAttribute('data-car-id'));
+        if (!car) return;
+
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', String(car.id));
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => {
+            card.classList.remove('dragging');
+        });
+        card.addEventListener('click', () => onOpen(car.id));
+    });
+
+    container.querySelectorAll('.board-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', (e) => {
+            if (!column.contains(e.relatedTarget)) {
+                column.classList.remove('drag-over');
+            }
+        });
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            const car = cars.find(c => String(c.id) === e.dataTransfer.getData('text/plain'));
+            const statusName = column.getAttribute('data-status');
+            if (car && getCarStatus(car) !== statusName) {
+                onMove(car.id, statusName);
+            }
+        });
+    });
+}
+
+// Export pipeline functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarPipeline = {
+        PIPELINE_STATUSES,
+        DEFAULT_STATUS,
+        getCarStatus,
+        getStatusOrder,
+        renderStatusBadge,
+        renderKanbanBoard
+    };
+}
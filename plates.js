@@ -0,0 +1,180 @@
+// UK Plates - Validates, classifies, decodes and formats UK registration plates
+
+// Current format (Sept 2001+): memory tag region from the first letter
+const PLATE_REGIONS = {
+    A: 'Anglia', B: 'Birmingham', C: 'Cymru (Wales)', D: 'Deeside', E: 'Essex',
+    F: 'Forest & Fens', G: 'Garden of England', H: 'Hampshire & Dorset', K: 'Milton Keynes',
+    L: 'London', M: 'Manchester & Merseyside', N: 'North', O: 'Oxford', P: 'Preston',
+    R: 'Reading', S: 'Scotland', V: 'Severn Valley', W: 'West of England', Y: 'Yorkshire'
+};
+
+// DVLA local office by memory tag, as [first letter, last second letter, office].
+// Second letters up to and including the given one belong to that office.
+const PLATE_OFFICES = [
+    ['A', 'N', 'Peterborough'], ['A', 'U', 'Norwich'], ['A', 'Y', 'Ipswich'],
+    ['B', 'Y', 'Birmingham'],
+    ['C', 'O', 'Cardiff'], ['C', 'V', 'Swansea'], ['C', 'Y', 'Bangor'],
+    ['D', 'K', 'Chester'], ['D', 'Y', 'Shrewsbury'],
+    ['E', 'Y', 'Chelmsford'],
+    ['F', 'P', 'Nottingham'], ['F', 'Y', 'Lincoln'],
+    ['G', 'O', 'Maidstone'], ['G', 'Y', 'Brighton'],
+    ['H', 'J', 'Bournemouth'], ['H', 'Y', 'Portsmouth'],
+    ['K', 'L', 'Luton'], ['K', 'Y', 'Northampton'],
+    ['L', 'J', 'Wimbledon'], ['L', 'T', 'Borehamwood'], ['L', 'Y', 'Sidcup'],
+    ['M', 'Y', 'Manchester'],
+    ['N', 'O', 'Newcastle'], ['N', 'Y', 'Stockton'],
+    ['O', 'Y', 'Oxford'],
+    ['P', 'T', 'Preston'], ['P', 'Y', 'Carlisle'],
+    ['R', 'Y', 'Reading'],
+    ['S', 'J', 'Glasgow'], ['S', 'O', 'Edinburgh'], ['S', 'T', 'Dundee'], ['S', 'W', 'Aberdeen'], ['S', 'Y', 'Inverness'],
+    ['V', 'Y', 'Worcester'],
+    ['W', 'J', 'Exeter'], ['W', 'L', 'Truro'], ['W', 'Y', 'Bristol'],
+    ['Y', 'K', 'Leeds'], ['Y', 'U', 'Sheffield'], ['Y', 'Y', 'Beverley']
+];
+
+// Prefix format (1983-2001): first letter -> [year, month] the letter was first issued
+const PREFIX_AGE_LETTERS = {
+    A: [1983, 8], B: [1984, 8], C: [1985, 8], D: [1986, 8], E: [1987, 8], F: [1988, 8],
+    G: [1989, 8], H: [1990, 8], J: [1991, 8], K: [1992, 8], L: [1993, 8], M: [1994, 8],
+    N: [1995, 8], P: [1996, 8], R: [1997, 8], S: [1998, 8], T: [1999, 3], V: [1999, 9],
+    W: [2000, 3], X: [2000, 9], Y: [2001, 3]
+};
+
+// Suffix format (1963-1983): last letter -> [year, month] the letter was first issued
+const SUFFIX_AGE_LETTERS = {
+    A: [1963, 1], B: [1964, 1], C: [1965, 1], D: [1966, 1], E: [1967, 1], F: [1967, 8],
+    G: [1968, 8], H: [1969, 8], J: [1970, 8], K: [1971, 8], L: [1972, 8], M: [1973, 8],
+    N: [1974, 8], P: [1975, 8], R: [1976, 8], S: [1977, 8], T: [1978, 8], V: [1979, 8],
+    W: [1980, 8], X: [1981, 8], Y: [1982, 8]
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PLATE_FORMAT_LABELS = {
+    current: 'Current format',
+    prefix: 'Prefix format',
+    suffix: 'Suffix format',
+    dateless: 'Dateless',
+    northernIreland: 'Northern Ireland',
+    qPlate: 'Q plate'
+};
+
+// Decode a current-format age identifier (e.g. 12 = Mar 2012, 62 = Sep 2012)
+function decodeCurrentAgeIdentifier(code) {
+    return code >= 50
+        ? { year: 2000 + code - 50, month: 9 }
+        : { year: 2000 + code, month: 3 };
+}
+
+// Check an age identifier has been issued: from Sep 2001 (51) up to the latest release
+function isIssuedAgeIdentifier(age) {
+    const issued = new Date(age.year, age.month - 1, 1);
+    return issued >= new Date(2001, 8, 1) && issued <= new Date();
+}
+
+function findPlateOffice(memoryTag) {
+    const [area, office] = memoryTag;
+    const entry = PLATE_OFFICES.find(([letter, lastLetter]) => letter === area && office <= lastLetter);
+    return entry ? entry[2] : null;
+}
+
+// Build the result for a plate in a format that carries an age
+function datedPlate(format, formatted, age, extra = {}) {
+    return {
+        valid: true,
+        format,
+        formatLabel: PLATE_FORMAT_LABELS[format],
+        formatted,
+        year: age.year,
+        month: age.month,
+        issued: `${MONTH_NAMES[age.month - 1]} ${age.year}`,
+        ...extra
+    };
+}
+
+// Parse a registration into its format and decoded details.
+// Returns { valid: false, message } when it doesn't match any UK format.
+function parsePlate(registration) {
+    const reg = registration ? String(registration).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+    if (!reg) {
+        return { valid: false, message: 'No registration entered' };
+    }
+
+    let match;
+
+    // Current: AB12 CDE
+    if ((match = reg.match(/^([A-HJ-PR-Y][A-HJ-PR-Y])(\d{2})([A-HJ-PR-Z]{3})$/))) {
+        const age = decodeCurrentAgeIdentifier(parseInt(match[2], 10));
+        if (!isIssuedAgeIdentifier(age)) {
+            return { valid: false, format: 'current', message: `Age identifier ${match[2]} hasn't been issued` };
+        }
+        return datedPlate('current', `${match[1]}${match[2]} ${match[3]}`, age, {
+            region: PLATE_REGIONS[match[1][0]] || null,
+            office: findPlateOffice(match[1])
+        });
+    }
+
+    // Q plate: Q123 ABC (age unknown, e.g. kit cars and imports without documents)
+    if ((match = reg.match(/^Q(\d{1,3})([A-Z]{3})$/))) {
+        return { valid: true, format: 'qPlate', formatLabel: PLATE_FORMAT_LABELS.qPlate, formatted: `Q${match[1]} ${match[2]}`, year: null };
+    }
+
+    // Prefix: A123 BCD
+    if ((match = reg.match(/^([A-HJ-NP-TV-Y])(\d{1,3})([A-Z]{3})$/))) {
+        const [year, month] = PREFIX_AGE_LETTERS[match[1]];
+        return datedPlate('prefix', `${match[1]}${match[2]} ${match[3]}`, { year, month });
+    }
+
+    // Suffix: ABC 123D
+    if ((match = reg.match(/^([A-Z]{3})(\d{1,3})([A-HJ-NP-TV-Y])$/))) {
+        const [year, month] = SUFFIX_AGE_LETTERS[match[3]];
+        return datedPlate('suffix', `${match[1]} ${match[2]}${match[3]}`, { year, month });
+    }
+
+    // Dateless: ABC 123 or 123 ABC. Codes containing I or Z are Northern Irish.
+    const lettersFirst = reg.match(/^([A-Z]{1,3})(\d{1,4})$/);
+    const digitsFirst = reg.match(/^(\d{1,4})([A-Z]{1,3})$/);
+    if (lettersFirst || digitsFirst) {
+        const letters = lettersFirst ? lettersFirst[1] : digitsFirst[2];
+        const digits = lettersFirst ? lettersFirst[2] : digitsFirst[1];
+        if (parseInt(digits, 10) === 0) {
+            return { valid: false, message: 'Plate numbers start at 1' };
+        }
+        const format = /[IZ]/.test(letters.slice(-2)) ? 'northernIreland' : 'dateless';
+        return {
+            valid: true,
+            format,
+            formatLabel: PLATE_FORMAT_LABELS[format],
+            formatted: lettersFirst ? `${letters} ${digits}` : `${digits} ${letters}`,
+            year: null
+        };
+    }
+
+    return { valid: false, message: 'Not a recognised UK registration format' };
+}
+
+// Format a registration with the correct spacing for display (unchanged if not recognised)
+function formatPlate(registration) {
+    if (!registration) return '';
+    const plate = parsePlate(registration);
+    return plate.valid ? plate.formatted : String(registration).toUpperCase();
+}
+
+// One-line description of a plate for form hints
+function describePlate(plate) {
+    if (!plate.valid) return plate.message;
+    const parts = [plate.formatLabel];
+    if (plate.issued) parts.push(`issued from ${plate.issued}`);
+    if (plate.office && plate.office !== plate.region) parts.push(`${plate.office} (${plate.region})`);
+    else if (plate.region) parts.push(plate.region);
+    return parts.join(' · ');
+}
+
+// Export plate functions to global scope
+if (typeof window !== 'undefined') {
+    window.UkPlates = {
+        parsePlate,
+        formatPlate,
+        describePlate
+    };
+}
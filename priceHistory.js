@@ -0,0 +1,132 @@
+// Price History - Records every price change against a car and renders the change timeline
+
+// Get a car's price history, oldest first. Cars saved before history was tracked
+// get a single entry for their current price dated when they were added.
+function getPriceHistory(car) {
+    if (!car) return [];
+    if (Array.isArray(car.priceHistory) && car.priceHistory.length > 0) {
+        return car.priceHistory;
+    }
+    const price = CarUtils.toNumber(car.price);
+    return price !== null ? [{ price, date: car.timestamp || new Date().toISOString() }] : [];
+}
+
+// Build the history to store when a car is saved with a (possibly) new price. Entries are
+// tagged with the form's edit session; a later change in the same session replaces the
+// session's entry, so auto-save while a price is being typed doesn't log every intermediate
+// value. Entries from earlier sessions are never replaced, so the price the car was added at
+// is kept; a car without a price gets the one the session ends up with.
+function recordPriceChange(existingCar, newPrice, editSession = null) {
+    const history = getPriceHistory(existingCar).map(entry => ({ ...entry }));
+    const price = CarUtils.toNumber(newPrice);
+    if (price === null) return history;
+
+    const last = history[history.length - 1];
+    if (last && last.price === price) return history;
+
+    if (editSession && last && last.editSession === editSession) {
+        history.pop();
+        const previous = history[history.length - 1];
+        if (previous && previous.price === price) return history;
+    }
+
+    const entry = { price, date: new Date().toISOString() };
+    if (editSession) {
+        entry.editSession = editSession;
+    }
+    history.push(entry);
+    return history;
+}
+
+// Combine two cars' price histories (when merging an import), ending at the chosen price
+function mergePriceHistories(carA, carB, finalPrice) {
+    const entries = getPriceHistory(carA).concat(getPriceHistory(carB))
+        .map(entry => ({ ...entry }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const merged = [];
+    entries.forEach(entry => {
+        const last = merged[merged.length - 1];
+        if (!last || last.price !== entry.price) merged.push(entry);
+    });
+
+    const price = CarUtils.toNumber(finalPrice);
+    const last = merged[merged.length - 1];
+    if (price !== null && (!last || last.price !== price)) {
+        merged.push({ price, date: new Date().toISOString() });
+    }
+    return merged;
+}
+
+// Amount the current price is below the highest recorded price (0 if it hasn't dropped)
+function getPriceDrop(car) {
+    const current = CarUtils.toNumber(car.price);
+    if (current === null) return 0;
+    const highest = Math.max(...getPriceHistory(car).map(entry => entry.price), current);
+    return highest - current;
+}
+
+// Small inline SVG line of the price over time (empty when there's no change to show)
+function renderPriceSparkline(car, width = 80, height = 20) {
+    const prices = getPriceHistory(car).map(entry => entry.price);
+    if (prices.length < 2) return '';
+
+    const min = Math.min(...prices);
+    const range = Math.max(...prices) - min || 1;
+    const step = width / (prices.length - 1);
+    const points = prices.map((price, i) => {
+        const x = (i * step).toFixed(1);
+        const y = (height - 2 - ((price - min) / range) * (height - 4)).toFixed(1);
+        return `${x},${y}`;
+    });
+    const colour = prices[prices.length - 1] < prices[0] ? '#48bb78' : '#f56565';
+    const [lastX, lastY] = points[points.length - 1].split(',');
+
+    return `<svg class="price-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <polyline points="${points.join(' ')}" fill="none" stroke="${colour}" stroke-width="1.5"/>
+        <circle cx="${lastX}" cy="${lastY}" r="2" fill="${colour}"/>
+    </svg>`;
+}
+
+// Badge shown next to the price when it has dropped
+function renderPriceDropBadge(car) {
+    const drop = getPriceDrop(car);
+    if (drop <= 0) return '';
+    return `<span class="price-drop-badge" title="Price dropped by ${CarUtils.formatPrice(drop)}">↓ ${CarUtils.formatPrice(drop)}</span>`;
+}
+
+// Timeline of price changes, newest first, for the edit form
+function renderPriceTimeline(car) {
+    const history = getPriceHistory(car);
+    if (history.length === 0) {
+        return '<p class="price-timeline-empty">No price recorded yet</p>';
+    }
+
+    const items = history.map((entry, i) => {
+        const previous = history[i - 1];
+        const change = previous ? entry.price - previous.price : 0;
+        const changeDisplay = change === 0 ? '' : `<span class="${change < 0 ? 'price-change-down' : 'price-change-up'}">
+            ${change < 0 ? '↓' : '↑'} ${CarUtils.formatPrice(Math.abs(change))}
+        </span>`;
+        return `<li>
+            <span class="price-timeline-date">${new Date(entry.date).toLocaleDateString('en-GB')}</span>
+            <strong>${CarUtils.formatPrice(entry.price)}</strong>
+            ${changeDisplay}
+        </li>`;
+    }).reverse().join('');
+
+    return `${renderPriceSparkline(car, 160, 32)}<ul class="price-timeline">${items}</ul>`;
+}
+
+// Export price history functions to global scope
+if (typeof window !== 'undefined') {
+    window.PriceHistory = {
+        getPriceHistory,
+        recordPriceChange,
+        mergePriceHistories,
+        getPriceDrop,
+        renderPriceSparkline,
+        renderPriceDropBadge,
+        renderPriceTimeline
+    };
+}
@@ -0,0 +1,129 @@
+// Range Filters - Min/max filters on numeric car fields, shown as dual-handle sliders
+
+// Filterable fields. Slider bounds come from the collection, rounded out to 'step'.
+const RANGE_FILTERS = [
+    { key: 'price', label: 'Price', step: 100, getValue: car => CarUtils.toNumber(car.price), format: value => `£${value.toLocaleString('en-GB')}` },
+    { key: 'mileage', label: 'Mileage', step: 1000, getValue: car => CarUtils.toNumber(car.mileage), format: value => `${value.toLocaleString('en-GB')} mi` },
+    { key: 'year', label: 'Year', step: 1, getValue: car => CarUtils.getCarYear(car), format: value => String(value) },
+    { key: 'engineSize', label: 'Engine Size', step: 0.1, getValue: car => CarUtils.toNumber(car.engineSize), format: value => `${value.toFixed(1)}L` },
+    { key: 'insuranceGroup', label: 'Insurance Group', step: 1, getValue: car => CarUtils.toNumber(car.insuranceGroup), format: value => `Group ${value}` }
+];
+
+// Bounds the sliders were last built for, so they're only rebuilt when the collection's range changes
+let renderedRangeBounds = null;
+
+// Round to the filter's step without floating point noise (e.g. 1.6000000000000001)
+function roundToStep(value, step, roundFn) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return parseFloat((roundFn(value / step) * step).toFixed(decimals));
+}
+
+// Get the lowest and highest value of each filter across the cars (null when no car has one)
+function getRangeBounds(cars) {
+    const bounds = {};
+    RANGE_FILTERS.forEach(filter => {
+        const values = cars.map(filter.getValue).filter(value => value !== null);
+        bounds[filter.key] = values.length === 0 ? null : {
+            min: roundToStep(Math.min(...values), filter.step, Math.floor),
+            max: roundToStep(Math.max(...values), filter.step, Math.ceil)
+        };
+    });
+    return bounds;
+}
+
+// Check a car against the active ranges ({ key: { min, max } }, either end may be null).
+// Cars without a value for a filtered field are left out.
+function matchesRanges(car, ranges) {
+    if (!ranges) return true;
+    return RANGE_FILTERS.every(filter => {
+        const range = ranges[filter.key];
+        if (!range || (range.min === null && range.max === null)) return true;
+        const value = filter.getValue(car);
+        if (value === null) return false;
+        return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+    });
+}
+
+// Number of filters with a min or max set
+function countActiveRanges(ranges) {
+    if (!ranges) return 0;
+    return Object.values(ranges).filter(range => range && (range.min !== null || range.max !== null)).length;
+}
+
+function describeRange(filter, range, bounds) {
+    const min = range && range.min !== null ? range.min : bounds.min;
+    const max = range && range.max !== null ? range.max : bounds.max;
+    return `${filter.format(min)} – ${filter.format(max)}`;
+}
+
+// Build the sliders for the cars' bounds. onChange(key, range) is called as a handle moves;
+// a handle left at the end of the track is stored as null so new cars outside the old
+// bounds aren't filtered out. Pass force to rebuild when the ranges were changed elsewhere.
+function renderRangeFilters(cars, ranges, onChange, force = false) {
+    const container = document.getElementById('rangeFiltersSliders');
+    if (!container) return;
+
+    const bounds = getRangeBounds(cars);
+    const boundsKey = JSON.stringify(bounds);
+    if (!force && boundsKey === renderedRangeBounds) return;
+    renderedRangeBounds = boundsKey;
+
+    const available = RANGE_FILTERS.filter(filter => bounds[filter.key] && bounds[filter.key].max > bounds[filter.key].min);
+    if (available.length === 0) {
+        container.innerHTML = '<p class="empty-message">Add cars with prices, mileage or years to filter by range.</p>';
+        return;
+    }
+
+    container.innerHTML = available.map(filter => {
+        const { min, max } = bounds[filter.key];
+        const range = ranges[filter.key] || { min: null, max: null };
+        const low = range.min !== null ? Math.max(min, Math.min(max, range.min)) : min;
+        const high = range.max !== null ? Math.max(min, Math.min(max, range.max)) : max;
+        return `
+            <div class="range-filter" data-range="${filter.key}">
+                <span>${filter.label} <strong class="range-filter-value">${describeRange(filter, range, bounds[filter.key])}</strong></span>
+                <div class="dual-range">
+                    <input type="range" class="range-min" min="${min}" max="${max}" step="${filter.step}" value="${low}" aria-label="Minimum ${filter.label}">
+                    <input type="range" class="range-max" min="${min}" max="${max}" step="${filter.step}" value="${high}" aria-label="Maximum ${filter.label}">
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    available.forEach(filter => {
+        const element = container.querySelector(`[data-range="${filter.key}"]`);
+        const minSlider = element.querySelector('.range-min');
+        const maxSlider = element.querySelector('.range-max');
+        const { min, max } = bounds[filter.key];
+
+        const handleInput = function() {
+            // Keep the handles from crossing
+            if (parseFloat(minSlider.value) > parseFloat(maxSlider.value)) {
+                if (this === minSlider) minSlider.value = maxSlider.value;
+                else maxSlider.value = minSlider.value;
+            }
+            const low = parseFloat(minSlider.value);
+            const high = parseFloat(maxSlider.value);
+            const range = { min: low <= min ? null : low, max: high >= max ? null : high };
+            element.querySelector('.range-filter-value').textContent = describeRange(filter, range, bounds[filter.key]);
+            element.classList.toggle('range-filter-active', range.min !== null || range.max !== null);
+            onChange(filter.key, range);
+        };
+        minSlider.addEventListener('input', handleInput);
+        maxSlider.addEventListener('input', handleInput);
+
+        const range = ranges[filter.key];
+        element.classList.toggle('range-filter-active', !!range && (range.min !== null || range.max !== null));
+    });
+}
+
+// Export range filter functions to global scope
+if (typeof window !== 'undefined') {
+    window.RangeFilters = {
+        RANGE_FILTERS,
+        getRangeBounds,
+        matchesRanges,
+        countActiveRanges,
+        renderRangeFilters
+    };
+}
@@ -98,7 +98,7 @@ document.addEventListener('DOMContentLoaded', function() {
         registrationInput.addEventListener('input', saveInputs);
     }
     
-    // Feature 2: URL Cleaner (Autotrader and Motors.co.uk)
+    // Feature 2: URL Cleaner (site handlers in listingUrls.js)
     // Paste button for URL input
     const pasteUrlBtn = document.getElementById('pasteUrlBtn');
     if (pasteUrlBtn) {
@@ -114,21 +114,26 @@ document.addEventListener('DOMContentLoaded', function() {
             const url = document.getElementById('autotraderUrlInput').value.trim();
             
             if (!url) {
-                alert('Please enter an Autotrader or Motors.co.uk URL');
+                alert('Please enter a listing URL');
                 return;
             }
             
-            const cleanedUrl = CarUtils.cleanCarListingUrl(url);
+            const listing = ListingUrls.identifyListing(url);
+            const cleanedUrl = listing ? listing.url : null;
             
             if (cleanedUrl) {
                 // Display the cleaned URL
                 const outputBox = document.getElementById('cleanedUrlOutput');
                 const linkElement = document.getElementById('cleanedUrlLink');
+                const siteElement = document.getElementById('cleanedUrlSite');
                 
                 if (linkElement) {
                     linkElement.href = cleanedUrl;
                     linkElement.textContent = cleanedUrl;
                 }
+                if (siteElement) {
+                    siteElement.textContent = `${listing.siteName}${listing.listingId ? ` · listing ID ${listing.listingId}` : ' · no listing ID found'}`;
+                }
                 if (outputBox) {
                     outputBox.style.display = 'block';
                 }
@@ -144,7 +149,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 
                 saveInputs();
             } else {
-                alert('URL cleaner only works for Autotrader or Motors.co.uk links. Please enter a valid URL from one of these sites.');
+                alert('That doesn\'t look like a web address. Please paste the full listing URL.');
             }
         });
     }
@@ -180,9 +185,24 @@ document.addEventListener('DOMContentLoaded', function() {
         autotraderUrlInput.addEventListener('input', saveInputs);
     }
     
+    // Custom URL cleaner rules
+    const urlRulesBtn = document.getElementById('urlRulesBtn');
+    if (urlRulesBtn) {
+        urlRulesBtn.addEventListener('click', function() {
+            const panel = document.getElementById('urlRulesPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+    }
+    const addUrlRuleBtn = document.getElementById('addUrlRuleBtn');
+    if (addUrlRuleBtn) {
+        addUrlRuleBtn.addEventListener('click', addUrlRule);
+    }
+    
     // Initialize: Load inputs on page load
     (async function() {
         await loadInputs();
+        await ListingUrls.loadCustomUrlRules();
+        renderUrlRules();
     })();
 });
 
@@ -219,6 +239,74 @@ async function loadInputs() {
     }
 }
 
+// Show the custom URL cleaner rules with a delete button for each
+function renderUrlRules() {
+    const list = document.getElementById('urlRulesList');
+    if (!list) return;
+    
+    const rules = ListingUrls.getCustomUrlRules();
+    if (rules.length === 0) {
+        list.innerHTML = `<p class="empty-message">No custom rules. Built-in sites: ${ListingUrls.getSupportedSiteNames().join(', ')}; other sites are treated as dealer websites.</p>`;
+        return;
+    }
+    
+    list.innerHTML = rules.map((rule, index) => `
+        <div class="url-rule" data-rule-index="${index}">
+            <strong>${escapeHtml(rule.name || rule.host)}</strong>
+            <span>${escapeHtml(rule.host)}</span>
+            <span>${rule.keepParams.length > 0 ? `keeps ${escapeHtml(rule.keepParams.join(', '))}` : 'removes all parameters'}</span>
+            <span>${rule.idPattern ? `ID: <code>${escapeHtml(rule.idPattern)}</code>` : 'no listing ID'}</span>
+            <button type="button" class="btn-icon btn-delete url-rule-delete-btn" title="Delete rule">✕</button>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('.url-rule').forEach(item => {
+        const index = parseInt(item.getAttribute('data-rule-index'), 10);
+        item.querySelector('.url-rule-delete-btn').addEventListener('click', () => deleteUrlRule(index));
+    });
+}
+
+// Add a custom rule from the rule form; a rule for the same domain replaces the old one
+async function addUrlRule() {
+    const rule = ListingUrls.createCustomRule({
+        name: document.getElementById('urlRuleName').value,
+        host: document.getElementById('urlRuleHost').value,
+        keepParams: document.getElementById('urlRuleKeepParams').value,
+        idPattern: document.getElementById('urlRuleIdPattern').value
+    });
+    
+    const error = ListingUrls.validateCustomRule(rule);
+    if (error) {
+        alert(error);
+        return;
+    }
+    
+    try {
+        const rules = ListingUrls.getCustomUrlRules().filter(existing => existing.host !== rule.host);
+        await ListingUrls.saveCustomUrlRules(rules.concat(rule));
+        ['urlRuleName', 'urlRuleHost', 'urlRuleKeepParams', 'urlRuleIdPattern'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        renderUrlRules();
+    } catch (error) {
+        console.error('Error saving URL rule:', error);
+        alert('Error saving the rule. Please try again.');
+    }
+}
+
+async function deleteUrlRule(index) {
+    const rules = ListingUrls.getCustomUrlRules();
+    if (!confirm(`Delete the rule for ${rules[index].host}?`)) return;
+    
+    try {
+        await ListingUrls.saveCustomUrlRules(rules.filter((rule, i) => i !== index));
+        renderUrlRules();
+    } catch (error) {
+        console.error('Error deleting URL rule:', error);
+        alert('Error deleting the rule. Please try again.');
+    }
+}
+
 // Open VehicleScore for a registration
 function openVehicleScore(registration) {
     const url = `https://vehiclescore.co.uk/score?registration=${CarUtils.normalizeRegistration(registration)}`;
@@ -0,0 +1,236 @@
+// Search Query - Parses structured search queries and matches cars against them.
+// Syntax: free words or "quoted phrases", field:value (e.g. status:"offer made"), numeric
+// comparisons (price<6000, year>=2012, mileage:40k..80k), is:starred / is:flagged, and a
+// leading - to negate a term. is:rollback finds cars whose recorded mileage went down.
+
+// Fields usable as prefixes. Text fields match by substring (':') or exactly ('='),
+// number fields by comparison or range.
+const QUERY_FIELDS = [
+    { key: 'registration', type: 'text', aliases: ['reg', 'plate'] },
+    { key: 'spec', type: 'text', aliases: ['model', 'make'] },
+    { key: 'comments', type: 'text', aliases: ['notes', 'mot'] },
+    { key: 'contact', type: 'text', aliases: ['dealer', 'seller'] },
+    { key: 'colors', type: 'text', aliases: ['colour', 'color', 'colours'] },
+    { key: 'fuelType', type: 'text', aliases: ['fuel'] },
+    { key: 'transmission', type: 'text', aliases: ['gearbox', 'trans'] },
+    { key: 'status', type: 'text', aliases: ['stage'], value: car => CarPipeline.getCarStatus(car) },
+    { key: 'site', type: 'text', aliases: ['marketplace'], value: car => getListingSiteName(car) },
+    { key: 'price', type: 'number', aliases: [] },
+    { key: 'mileage', type: 'number', aliases: ['miles'] },
+    { key: 'year', type: 'number', aliases: [], value: car => CarUtils.getCarYear(car) },
+    { key: 'engineSize', type: 'number', aliases: ['engine'] },
+    { key: 'insuranceGroup', type: 'number', aliases: ['insurance', 'ins'] },
+    { key: 'rating', type: 'number', aliases: ['stars'] },
+    { key: 'score', type: 'number', aliases: [], value: car => CarScoring.getScore(car) },
+    { key: 'priceDrop', type: 'number', aliases: ['drop'], value: car => PriceHistory.getPriceDrop(car) },
+    { key: 'mpg', type: 'number', aliases: [] },
+    { key: 'tco', type: 'number', aliases: ['cost'], value: car => CarTco.getTco(car) },
+    { key: 'monthly', type: 'number', aliases: ['finance', 'pcm'], value: car => CarFinance.getMonthlyPayment(car) }
+];
+
+// Flags usable with is: (e.g. is:starred, -is:flagged)
+const QUERY_FLAGS = {
+    starred: car => car.starred === true,
+    flagged: car => car.flagged === true,
+    rollback: car => CarHistory.getMileageRollbacks(car).length > 0
+};
+
+// Fields searched by free words and phrases
+const FREE_TEXT_FIELDS = ['registration', 'spec', 'comments', 'contact', 'rating'];
+
+const QUERY_OPERATORS = ['<=', '>=', '<', '>', ':', '='];
+
+function findQueryField(name) {
+    const lower = name.toLowerCase();
+    return QUERY_FIELDS.find(field => field.key.toLowerCase() === lower || field.aliases.includes(lower)) || null;
+}
+
+// Parse a number written the way people type them: 6000, £6,000, 80k, 1.6
+function parseQueryNumber(text) {
+    const match = text.replace(/[£,]/g, '').match(/^(\d+(?:\.\d+)?|\.\d+)(k)?$/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+}
+
+// Split a query into raw tokens, keeping quoted phrases together (including quoted
+// values after a field prefix, e.g. comments:"oil leak")
+function tokenizeQuery(query) {
+    const tokens = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let text = '';
+        let quoted = false;
+        while (i < query.length && !/\s/.test(query[i])) {
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    errors.push({ message: 'Missing closing quote', token: query.slice(start) });
+                    text += query.slice(i + 1);
+                    i = query.length;
+                } else {
+                    text += query.slice(i + 1, end);
+                    i = end + 1;
+                }
+                quoted = true;
+            } else {
+                text += query[i];
+                i++;
+            }
+        }
+        tokens.push({ raw: query.slice(start, i), text, quoted });
+    }
+
+    return { tokens, errors };
+}
+
+// Turn one raw token into a term, or an error message
+function parseQueryTerm(token) {
+    let raw = token.raw;
+    let negated = false;
+    if (raw.length > 1 && raw[0] === '-') {
+        negated = true;
+        raw = raw.slice(1);
+    }
+
+    const fieldMatch = raw.match(/^([a-z]+)(<=|>=|<|>|:|=)(.*)$/i);
+    if (!fieldMatch) {
+        const text = (negated ? token.text.slice(1) : token.text).trim();
+        if (QUERY_OPERATORS.some(op => raw.startsWith(op))) {
+            return { error: `"${token.raw}" needs a field before ${raw.match(/^[<>=:]+/)[0]}` };
+        }
+        return { type: 'text', negated, text: text.toLowerCase() };
+    }
+
+    const [, name, operator, rawValue] = fieldMatch;
+    const value = rawValue.replace(/"/g, '');
+    if (!value) {
+        return { error: `"${token.raw}" is missing a value` };
+    }
+
+    if (name.toLowerCase() === 'is') {
+        const flag = value.toLowerCase();
+        if (!QUERY_FLAGS[flag] || operator !== ':') {
+            return { error: `Unknown filter "${token.raw}" (try is:starred, is:flagged or is:rollback)` };
+        }
+        return { type: 'flag', negated, flag };
+    }
+
+    const field = findQueryField(name);
+    if (!field) {
+        return { error: `Unknown field "${name}"` };
+    }
+
+    if (field.type === 'text') {
+        if (operator !== ':' && operator !== '=') {
+            return { error: `${name} is a text field, use ${name}:${value}` };
+        }
+        return { type: 'field', negated, field, operator, value: value.toLowerCase() };
+    }
+
+    const range = value.match(/^(.*)\.\.(.*)$/);
+    if (range) {
+        if (operator !== ':' && operator !== '=') {
+            return { error: `Use ${name}:min..max for a range` };
+        }
+        const min = range[1] ? parseQueryNumber(range[1]) : -Infinity;
+        const max = range[2] ? parseQueryNumber(range[2]) : Infinity;
+        if (min === null || max === null) {
+            return { error: `"${value}" isn't a valid range` };
+        }
+        return { type: 'range', negated, field, min, max };
+    }
+
+    const number = parseQueryNumber(value);
+    if (number === null) {
+        return { error: `${name} needs a number, not "${value}"` };
+    }
+    return { type: 'compare', negated, field, operator: operator === ':' ? '=' : operator, value: number };
+}
+
+// Parse a query into terms (all must match) and errors for the parts that couldn't be understood
+function parseQuery(query) {
+    const { tokens, errors } = tokenizeQuery(query || '');
+    const terms = [];
+
+    tokens.forEach(token => {
+        const term = parseQueryTerm(token);
+        if (term.error) {
+            errors.push({ message: term.error, token: token.raw });
+        } else if (term.type !== 'text' || term.text) {
+            terms.push(term);
+        }
+    });
+
+    return { terms, errors };
+}
+
+// Name of the site the car's listing is on (e.g. "Gumtree"), '' without a link
+function getListingSiteName(car) {
+    const listing = ListingUrls.identifyListing(car.websiteLink);
+    return listing ? listing.siteName : '';
+}
+
+function getQueryFieldValue(car, field) {
+    return field.value ? field.value(car) : car[field.key];
+}
+
+function getQueryNumber(car, field) {
+    return CarUtils.toNumber(getQueryFieldValue(car, field));
+}
+
+function matchesQueryTerm(car, term) {
+    switch (term.type) {
+        case 'text':
+            return FREE_TEXT_FIELDS.some(key => car[key] && String(car[key]).toLowerCase().includes(term.text));
+        case 'flag':
+            return QUERY_FLAGS[term.flag](car);
+        case 'field': {
+            const value = String(getQueryFieldValue(car, term.field) || '').toLowerCase();
+            if (term.field.key === 'registration') {
+                const reg = value.replace(/\s/g, '');
+                const wanted = term.value.replace(/\s/g, '');
+                return term.operator === '=' ? reg === wanted : reg.includes(wanted);
+            }
+            return term.operator === '=' ? value === term.value : value.includes(term.value);
+        }
+        case 'range': {
+            const number = getQueryNumber(car, term.field);
+            return number !== null && number >= term.min && number <= term.max;
+        }
+        case 'compare': {
+            const number = getQueryNumber(car, term.field);
+            if (number === null) return false;
+            switch (term.operator) {
+                case '<': return number < term.value;
+                case '<=': return number <= term.value;
+                case '>': return number > term.value;
+                case '>=': return number >= term.value;
+                default: return number === term.value;
+            }
+        }
+        default:
+            return true;
+    }
+}
+
+// Check a car against every term of a parsed query
+function matchesQuery(car, parsedQuery) {
+    return parsedQuery.terms.every(term => matchesQueryTerm(car, term) !== term.negated);
+}
+
+// Export search query functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarSearch = {
+        QUERY_FIELDS,
+        parseQuery,
+        matchesQuery
+    };
+}
@@ -2,13 +2,162 @@
 // This ensures data persists across different ports and localhost instances
 
 const DB_NAME = 'CarToolsDB';
-const DB_VERSION = 1;
 const STORE_CARS = 'cars';
 const STORE_LOGS = 'logs';
 const STORE_INPUTS = 'inputs';
+const STORE_TRASH = 'trash';
+const STORE_PHOTOS = 'photos';
+const STORE_COLLECTIONS = 'collections';
+
+// Cars saved before collections existed (no collectionId) belong to the default collection
+const DEFAULT_COLLECTION_ID = 1;
+
+// Numbered schema migrations, applied in order. Each step may:
+// - upgradeDatabase(database, transaction): create or change object stores and indexes
+// - upgradeCar(car): reshape a single car record in place
+// upgradeCar steps run over stored cars when the database is upgraded, and over the cars
+// in older export files when they are imported, so both end up in the current shape.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Cars, logs and inputs stores',
+        upgradeDatabase(database) {
+            if (!database.objectStoreNames.contains(STORE_CARS)) {
+                const carsStore = database.createObjectStore(STORE_CARS, { keyPath: 'id', autoIncrement: true });
+                carsStore.createIndex('registration', 'registration', { unique: false });
+                carsStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+
+            if (!database.objectStoreNames.contains(STORE_LOGS)) {
+                const logsStore = database.createObjectStore(STORE_LOGS, { keyPath: 'id', autoIncrement: true });
+                logsStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+
+            if (!database.objectStoreNames.contains(STORE_INPUTS)) {
+                database.createObjectStore(STORE_INPUTS, { keyPath: 'key' });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Typed car fields, price history and last-updated time',
+        upgradeDatabase(database, transaction) {
+            const carsStore = transaction.objectStore(STORE_CARS);
+            if (!carsStore.indexNames.contains('updatedAt')) {
+                carsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+        },
+        upgradeCar(car) {
+            car.registration = car.registration ? String(car.registration).toUpperCase().replace(/\s+/g, '') : '';
+            car.year = car.year != null ? String(car.year) : '';
+            ['price', 'mileage', 'engineSize', 'insuranceGroup', 'rating'].forEach(key => {
+                const number = parseFloat(car[key]);
+                car[key] = isNaN(number) ? null : number;
+            });
+            if (!Array.isArray(car.priceHistory)) {
+                car.priceHistory = car.price !== null
+                    ? [{ price: car.price, date: car.timestamp || new Date().toISOString() }]
+                    : [];
+            }
+            car.updatedAt = car.updatedAt || car.timestamp || new Date().toISOString();
+        }
+    },
+    {
+        version: 3,
+        description: 'Trash store for soft-deleted cars',
+        upgradeDatabase(database) {
+            if (!database.objectStoreNames.contains(STORE_TRASH)) {
+                const trashStore = database.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Purchase pipeline status',
+        upgradeCar(car) {
+            car.status = car.status || 'Found';
+        }
+    },
+    {
+        version: 5,
+        description: 'Viewing and test drive appointments',
+        upgradeCar(car) {
+            if (!Array.isArray(car.appointments)) {
+                car.appointments = [];
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Photos store for car images',
+        upgradeDatabase(database) {
+            if (!database.objectStoreNames.contains(STORE_PHOTOS)) {
+                const photosStore = database.createObjectStore(STORE_PHOTOS, { keyPath: 'id', autoIncrement: true });
+                photosStore.createIndex('carId', 'carId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Structured MOT and service history',
+        upgradeCar(car) {
+            if (!Array.isArray(car.history)) {
+                car.history = [];
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Named collections of cars',
+        upgradeDatabase(database, transaction) {
+            if (!database.objectStoreNames.contains(STORE_COLLECTIONS)) {
+                database.createObjectStore(STORE_COLLECTIONS, { keyPath: 'id', autoIncrement: true });
+                transaction.objectStore(STORE_COLLECTIONS).put({
+                    id: DEFAULT_COLLECTION_ID,
+                    name: 'My Cars',
+                    createdAt: new Date().toISOString()
+                });
+            }
+        }
+    }
+];
+
+const DB_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
 
 let db = null;
 
+// Collection that CarStorage and TrashStorage read from and add new cars to
+let activeCollectionId = DEFAULT_COLLECTION_ID;
+
+// Get the migrations that move data from the given version to the current one
+function getPendingMigrations(fromVersion) {
+    return SCHEMA_MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+// Apply pending upgradeCar steps to a single car record
+function upgradeCarRecord(car, fromVersion) {
+    getPendingMigrations(fromVersion).forEach(migration => {
+        if (migration.upgradeCar) {
+            migration.upgradeCar(car);
+        }
+    });
+    return car;
+}
+
+// Run pending upgradeCar steps over every stored car inside the upgrade transaction
+function upgradeStoredCars(transaction, fromVersion) {
+    if (!getPendingMigrations(fromVersion).some(migration => migration.upgradeCar)) return;
+
+    const request = transaction.objectStore(STORE_CARS).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.update(upgradeCarRecord(cursor.value, fromVersion));
+        cursor.continue();
+    };
+}
+
 // Initialize IndexedDB
 function initDB() {
     return new Promise((resolve, reject) => {
@@ -26,26 +175,33 @@ function initDB() {
 
         request.onsuccess = () => {
             db = request.result;
+            // Let a newer version open in another tab upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
             resolve(db);
         };
 
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade blocked: close other tabs running Car Tools');
+        };
+
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
+            const transaction = event.target.transaction;
+            const fromVersion = event.oldVersion;
 
-            // Create object stores if they don't exist
-            if (!database.objectStoreNames.contains(STORE_CARS)) {
-                const carsStore = database.createObjectStore(STORE_CARS, { keyPath: 'id', autoIncrement: true });
-                carsStore.createIndex('registration', 'registration', { unique: false });
-                carsStore.createIndex('timestamp', 'timestamp', { unique: false });
-            }
-
-            if (!database.objectStoreNames.contains(STORE_LOGS)) {
-                const logsStore = database.createObjectStore(STORE_LOGS, { keyPath: 'id', autoIncrement: true });
-                logsStore.createIndex('timestamp', 'timestamp', { unique: false });
-            }
+            getPendingMigrations(fromVersion).forEach(migration => {
+                console.log(`Applying schema migration ${migration.version}: ${migration.description}`);
+                if (migration.upgradeDatabase) {
+                    migration.upgradeDatabase(database, transaction);
+                }
+            });
 
-            if (!database.objectStoreNames.contains(STORE_INPUTS)) {
-                database.createObjectStore(STORE_INPUTS, { keyPath: 'key' });
+            // A brand new database has no cars to reshape
+            if (fromVersion > 0) {
+                upgradeStoredCars(transaction, fromVersion);
             }
         };
     });
@@ -70,6 +226,72 @@ function getAllFromStore(storeName) {
     });
 }
 
+// Generic function to get one item from a store by key (undefined if there isn't one)
+function getFromStore(storeName, key) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Generic function to get the items in a store whose index matches a key
+function getAllFromIndex(storeName, indexName, key) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).getAll(key);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Generic function to delete the items in a store whose index matches any of the keys
+function deleteManyFromIndex(storeName, indexName, keys) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index(indexName);
+            let deleted = 0;
+
+            keys.forEach(key => {
+                const request = index.openCursor(key);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(deleted);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        }).catch(reject);
+    });
+}
+
 // Generic function to add item to store
 function addToStore(storeName, item) {
     return new Promise((resolve, reject) => {
@@ -127,6 +349,137 @@ function deleteFromStore(storeName, id) {
     });
 }
 
+// Generic function to move a record between two stores in one transaction.
+// 'transform' returns the record to write to the target store.
+function moveBetweenStores(fromStoreName, toStoreName, id, transform) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([fromStoreName, toStoreName], 'readwrite');
+            const fromStore = transaction.objectStore(fromStoreName);
+            const request = fromStore.get(id);
+            let moved = null;
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    reject(new Error(`No record with ID ${id} in ${fromStoreName}`));
+                    transaction.abort();
+                    return;
+                }
+                moved = transform(request.result);
+                transaction.objectStore(toStoreName).put(moved);
+                fromStore.delete(id);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(moved);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Generic function to write several items to a store in one transaction
+function putManyInStore(storeName, items) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            items.forEach(item => store.put(item));
+
+            transaction.oncomplete = () => {
+                resolve(items.length);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Generic function to move several records between two stores in one transaction.
+// IDs that aren't in the source store are skipped; resolves with the moved records.
+function moveManyBetweenStores(fromStoreName, toStoreName, ids, transform) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([fromStoreName, toStoreName], 'readwrite');
+            const fromStore = transaction.objectStore(fromStoreName);
+            const toStore = transaction.objectStore(toStoreName);
+            const moved = [];
+
+            ids.forEach(id => {
+                const request = fromStore.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    const record = transform(request.result);
+                    toStore.put(record);
+                    fromStore.delete(id);
+                    moved.push(record);
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(moved);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Generic function to delete several items from a store by ID in one transaction
+function deleteManyFromStore(storeName, ids) {
+    return new Promise((resolve, reject) => {
+        initDB().then(database => {
+            const transaction = database.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            ids.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => {
+                resolve(ids.length);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        }).catch(reject);
+    });
+}
+
+// Car properties that don't count as editing the car's details: bookkeeping, and marks
+// like the star and flag that are toggled without editing the car
+const NON_DATA_KEYS = ['id', 'timestamp', 'updatedAt', 'collectionId', 'starred', 'flagged'];
+
+function isEmptyCarValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Whether any of a car's details differ from its stored copy
+function hasDataChanges(car, stored) {
+    const keys = new Set(Object.keys(car).concat(Object.keys(stored)));
+    return Array.from(keys).some(key => {
+        if (NON_DATA_KEYS.includes(key)) return false;
+        if (isEmptyCarValue(car[key]) && isEmptyCarValue(stored[key])) return false;
+        return JSON.stringify(car[key]) !== JSON.stringify(stored[key]);
+    });
+}
+
+// Set updatedAt, the time the car's details were last edited (what "keep newest" compares
+// on import). Saves that only star, flag or move the car keep the stored time.
+function stampUpdatedAt(car, stored, now = new Date().toISOString()) {
+    car.updatedAt = !stored || hasDataChanges(car, stored) ? now : (stored.updatedAt || car.updatedAt);
+}
+
+// Whether a car (or trashed car) belongs to a collection
+function isInCollection(car, collectionId) {
+    return (car.collectionId || DEFAULT_COLLECTION_ID) === collectionId;
+}
+
 // Generic function to clear a store
 function clearStore(storeName) {
     return new Promise((resolve, reject) => {
@@ -148,18 +501,33 @@ function clearStore(storeName) {
 
 // Cars storage functions
 const CarStorage = {
-    async getAll() {
+    // Cars in a collection (the active one by default); null gets the cars of every collection
+    async getAll(collectionId = activeCollectionId) {
+        let cars;
         try {
-            return await getAllFromStore(STORE_CARS);
+            cars = await getAllFromStore(STORE_CARS);
         } catch (error) {
             console.error('Error getting cars:', error);
             // Fallback to localStorage for backward compatibility
             const stored = localStorage.getItem('carDetailsEntries');
-            return stored ? JSON.parse(stored) : [];
+            cars = stored ? JSON.parse(stored) : [];
+        }
+        return collectionId === null ? cars : cars.filter(car => isInCollection(car, collectionId));
+    },
+
+    // The stored copy of a car (null if it isn't saved yet)
+    async get(id) {
+        try {
+            return (await getFromStore(STORE_CARS, id)) || null;
+        } catch (error) {
+            console.error('Error getting car:', error);
+            return (await this.getAll(null)).find(c => c.id === id) || null;
         }
     },
 
     async save(car) {
+        stampUpdatedAt(car, car.id ? await this.get(car.id) : null);
+        car.collectionId = car.collectionId || activeCollectionId;
         try {
             if (car.id) {
                 return await updateInStore(STORE_CARS, car);
@@ -170,7 +538,7 @@ const CarStorage = {
         } catch (error) {
             console.error('Error saving car:', error);
             // Fallback to localStorage
-            const cars = await this.getAll();
+            const cars = await this.getAll(null);
             if (car.id) {
                 const index = cars.findIndex(c => c.id === car.id);
                 if (index !== -1) {
@@ -186,21 +554,104 @@ const CarStorage = {
         }
     },
 
+    // Write a car back exactly as given, keeping its ID and metadata (used by undo/redo).
+    // Any copy of the car in the trash is removed.
+    async restore(car) {
+        try {
+            const id = await updateInStore(STORE_CARS, car);
+            await deleteFromStore(STORE_TRASH, car.id);
+            return id;
+        } catch (error) {
+            console.error('Error restoring car:', error);
+            const cars = await this.getAll(null);
+            const index = cars.findIndex(c => c.id === car.id);
+            if (index !== -1) {
+                cars[index] = car;
+            } else {
+                cars.push(car);
+            }
+            localStorage.setItem('carDetailsEntries', JSON.stringify(cars));
+            const trash = JSON.parse(localStorage.getItem('carTrashEntries') || '[]');
+            localStorage.setItem('carTrashEntries', JSON.stringify(trash.filter(c => c.id !== car.id)));
+            return car.id;
+        }
+    },
+
+    // Remove a car outright, without moving it to the trash (used when undo takes back an add),
+    // along with its photos. Returns the removed photos so that a redo can put them back.
+    async remove(id) {
+        try {
+            const photos = await PhotoStorage.getForCar(id);
+            await deleteFromStore(STORE_CARS, id);
+            await PhotoStorage.deleteForCars([id]);
+            return photos;
+        } catch (error) {
+            console.error('Error removing car:', error);
+            const cars = await this.getAll(null);
+            localStorage.setItem('carDetailsEntries', JSON.stringify(cars.filter(car => car.id !== id)));
+            return [];
+        }
+    },
+
+    // Save changes to several existing cars in one transaction (bulk actions)
+    async saveMany(cars) {
+        const now = new Date().toISOString();
+        for (const car of cars) {
+            stampUpdatedAt(car, await this.get(car.id), now);
+        }
+        try {
+            return await putManyInStore(STORE_CARS, cars);
+        } catch (error) {
+            console.error('Error saving cars:', error);
+            const stored = await this.getAll(null);
+            cars.forEach(car => {
+                const index = stored.findIndex(c => c.id === car.id);
+                if (index !== -1) {
+                    stored[index] = car;
+                }
+            });
+            localStorage.setItem('carDetailsEntries', JSON.stringify(stored));
+            return cars.length;
+        }
+    },
+
+    // Soft delete several cars in one transaction; returns how many were moved to the trash
+    async deleteMany(ids) {
+        const deletedAt = new Date().toISOString();
+        const markDeleted = car => ({ ...car, deletedAt });
+        try {
+            const moved = await moveManyBetweenStores(STORE_CARS, STORE_TRASH, ids, markDeleted);
+            return moved.length;
+        } catch (error) {
+            console.error('Error deleting cars:', error);
+            const cars = await this.getAll(null);
+            const isSelected = car => ids.includes(car.id);
+            const trash = JSON.parse(localStorage.getItem('carTrashEntries') || '[]');
+            cars.filter(isSelected).forEach(car => trash.push(markDeleted(car)));
+            localStorage.setItem('carTrashEntries', JSON.stringify(trash));
+            localStorage.setItem('carDetailsEntries', JSON.stringify(cars.filter(car => !isSelected(car))));
+            return cars.filter(isSelected).length;
+        }
+    },
+
+    // Soft delete: move the car to the trash, where it can be restored or purged later
     async delete(id) {
         if (!id) {
             throw new Error('No ID provided for deletion');
         }
         
+        const markDeleted = car => ({ ...car, deletedAt: new Date().toISOString() });
+        
         try {
             // Try with the ID as-is first
-            await deleteFromStore(STORE_CARS, id);
+            await moveBetweenStores(STORE_CARS, STORE_TRASH, id, markDeleted);
         } catch (error) {
             console.error('Error deleting from IndexedDB, trying fallback:', error);
             // Fallback: try with different ID type (string vs number)
             try {
                 const idAsNumber = typeof id === 'string' ? parseInt(id, 10) : id;
-                if (!isNaN(idAsNumber)) {
-                    await deleteFromStore(STORE_CARS, idAsNumber);
+                if (!isNaN(idAsNumber) && idAsNumber !== id) {
+                    await moveBetweenStores(STORE_CARS, STORE_TRASH, idAsNumber, markDeleted);
                     return;
                 }
             } catch (e) {
@@ -209,12 +660,12 @@ const CarStorage = {
             
             // Fallback to localStorage
             try {
-                const cars = await this.getAll();
-                const filtered = cars.filter(c => {
-                    // Try both string and number comparison
-                    return c.id !== id && c.id !== parseInt(id, 10) && String(c.id) !== String(id);
-                });
-                localStorage.setItem('carDetailsEntries', JSON.stringify(filtered));
+                const cars = await this.getAll(null);
+                const isMatch = c => c.id === id || c.id === parseInt(id, 10) || String(c.id) === String(id);
+                const trash = JSON.parse(localStorage.getItem('carTrashEntries') || '[]');
+                cars.filter(isMatch).forEach(car => trash.push(markDeleted(car)));
+                localStorage.setItem('carTrashEntries', JSON.stringify(trash));
+                localStorage.setItem('carDetailsEntries', JSON.stringify(cars.filter(c => !isMatch(c))));
             } catch (localError) {
                 console.error('Error with localStorage fallback:', localError);
                 throw new Error('Failed to delete car from all storage methods');
@@ -222,13 +673,196 @@ const CarStorage = {
         }
     },
 
+    // Permanently delete every car in the active collection, along with their photos
     async clear() {
         try {
-            await clearStore(STORE_CARS);
+            const ids = (await getAllFromStore(STORE_CARS)).filter(car => isInCollection(car, activeCollectionId)).map(car => car.id);
+            await deleteManyFromStore(STORE_CARS, ids);
+            await PhotoStorage.deleteForCars(ids);
         } catch (error) {
             console.error('Error clearing cars:', error);
-            localStorage.removeItem('carDetailsEntries');
+            const cars = await this.getAll(null);
+            localStorage.setItem('carDetailsEntries', JSON.stringify(cars.filter(car => !isInCollection(car, activeCollectionId))));
+        }
+    }
+};
+
+// Trash storage functions (soft-deleted cars, keyed by their original car ID)
+const TrashStorage = {
+    // Trashed cars of a collection (the active one by default); null gets the whole trash
+    async getAll(collectionId = activeCollectionId) {
+        let trash;
+        try {
+            trash = await getAllFromStore(STORE_TRASH);
+        } catch (error) {
+            console.error('Error getting trash:', error);
+            trash = JSON.parse(localStorage.getItem('carTrashEntries') || '[]');
+        }
+        return collectionId === null ? trash : trash.filter(car => isInCollection(car, collectionId));
+    },
+
+    // Move a car from the trash back into the cars store; returns the restored car
+    async restore(id) {
+        const unmarkDeleted = car => {
+            const restored = { ...car };
+            delete restored.deletedAt;
+            return restored;
+        };
+
+        try {
+            return await moveBetweenStores(STORE_TRASH, STORE_CARS, id, unmarkDeleted);
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            const trash = await this.getAll(null);
+            const car = trash.find(c => c.id === id);
+            if (!car) {
+                throw new Error('Car not found in trash');
+            }
+            const restored = unmarkDeleted(car);
+            const cars = JSON.parse(localStorage.getItem('carDetailsEntries') || '[]');
+            cars.push(restored);
+            localStorage.setItem('carDetailsEntries', JSON.stringify(cars));
+            localStorage.setItem('carTrashEntries', JSON.stringify(trash.filter(c => c.id !== id)));
+            return restored;
+        }
+    },
+
+    // Permanently delete a car from the trash, along with its photos
+    async delete(id) {
+        try {
+            await deleteFromStore(STORE_TRASH, id);
+            await PhotoStorage.deleteForCars([id]);
+        } catch (error) {
+            console.error('Error deleting from trash:', error);
+            const trash = await this.getAll(null);
+            localStorage.setItem('carTrashEntries', JSON.stringify(trash.filter(c => c.id !== id)));
+        }
+    },
+
+    // Permanently delete cars that have been in the trash longer than the given number of days.
+    // Returns how many were purged.
+    async purgeOlderThan(days) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = (await this.getAll(null)).filter(car => new Date(car.deletedAt).getTime() < cutoff);
+        for (const car of expired) {
+            await this.delete(car.id);
+        }
+        return expired.length;
+    },
+
+    // Permanently delete the active collection's trash
+    async clear() {
+        try {
+            const ids = (await this.getAll()).map(car => car.id);
+            await deleteManyFromStore(STORE_TRASH, ids);
+            await PhotoStorage.deleteForCars(ids);
+        } catch (error) {
+            console.error('Error clearing trash:', error);
+            const trash = JSON.parse(localStorage.getItem('carTrashEntries') || '[]');
+            localStorage.setItem('carTrashEntries', JSON.stringify(trash.filter(car => !isInCollection(car, activeCollectionId))));
+        }
+    }
+};
+
+// Photo storage functions. Photos are image blobs, which localStorage can't hold,
+// so there is no fallback: callers should report the error.
+const PhotoStorage = {
+    async getAll() {
+        return await getAllFromStore(STORE_PHOTOS);
+    },
+
+    // Get a car's photos in the order they were added
+    async getForCar(carId) {
+        const photos = await getAllFromIndex(STORE_PHOTOS, 'carId', carId);
+        return photos.sort((a, b) => a.id - b.id);
+    },
+
+    async add(photo) {
+        photo.addedAt = photo.addedAt || new Date().toISOString();
+        return await addToStore(STORE_PHOTOS, photo);
+    },
+
+    async delete(id) {
+        await deleteFromStore(STORE_PHOTOS, id);
+    },
+
+    // Move some of a car's photos to another car (e.g. when merging duplicates); returns how many moved
+    async moveToCar(fromCarId, toCarId, photoIds) {
+        const ids = new Set(photoIds);
+        const photos = (await this.getForCar(fromCarId)).filter(photo => ids.has(photo.id));
+        photos.forEach(photo => {
+            photo.carId = toCarId;
+        });
+        return await putManyInStore(STORE_PHOTOS, photos);
+    },
+
+    // Put back photos that were removed with their car, keeping their IDs
+    async restore(photos) {
+        if (photos.length === 0) return 0;
+        return await putManyInStore(STORE_PHOTOS, photos);
+    },
+
+    // Delete every photo of the given cars; returns how many were deleted
+    async deleteForCars(carIds) {
+        if (carIds.length === 0) return 0;
+        return await deleteManyFromIndex(STORE_PHOTOS, 'carId', carIds);
+    }
+};
+
+// Collection storage functions. Each car has a collectionId; CarStorage and TrashStorage
+// work on the active collection, which is remembered between visits. Without IndexedDB
+// there is only the default collection.
+const CollectionStorage = {
+    async getAll() {
+        try {
+            const collections = await getAllFromStore(STORE_COLLECTIONS);
+            return collections.sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.error('Error getting collections:', error);
+            return [{ id: DEFAULT_COLLECTION_ID, name: 'My Cars' }];
+        }
+    },
+
+    // Create an empty collection; returns its ID
+    async add(name) {
+        return await addToStore(STORE_COLLECTIONS, { name, createdAt: new Date().toISOString() });
+    },
+
+    async rename(id, name) {
+        const collection = (await this.getAll()).find(c => c.id === id);
+        if (!collection) {
+            throw new Error(`No collection with ID ${id}`);
         }
+        await updateInStore(STORE_COLLECTIONS, { ...collection, name });
+    },
+
+    // Permanently delete a collection with its cars, trash and photos
+    async delete(id) {
+        const carIds = (await CarStorage.getAll(id)).map(car => car.id);
+        const trashIds = (await TrashStorage.getAll(id)).map(car => car.id);
+        await deleteManyFromStore(STORE_CARS, carIds);
+        await deleteManyFromStore(STORE_TRASH, trashIds);
+        await PhotoStorage.deleteForCars(carIds.concat(trashIds));
+        await deleteFromStore(STORE_COLLECTIONS, id);
+    },
+
+    getActiveId() {
+        return activeCollectionId;
+    },
+
+    async setActive(id) {
+        activeCollectionId = id;
+        await InputStorage.save('activeCollectionId', id);
+    },
+
+    // Restore the collection that was active last time, falling back to the first one
+    // when it has since been deleted. Returns the active collection.
+    async loadActive() {
+        const collections = await this.getAll();
+        const savedId = await InputStorage.get('activeCollectionId');
+        const active = collections.find(c => c.id === savedId) || collections[0];
+        activeCollectionId = active.id;
+        return active;
     }
 };
 
@@ -334,6 +968,26 @@ const InputStorage = {
     }
 };
 
+// Schema versioning for exported data
+const DataMigrations = {
+    currentVersion: DB_VERSION,
+
+    // Bring the cars in an export file up to the current schema. Files written before
+    // schemaVersion was added (the '1.0' format) are treated as schema version 1.
+    upgradeExport(data) {
+        if (!data || !Array.isArray(data.cars)) {
+            throw new Error('Invalid file format');
+        }
+
+        const fromVersion = parseInt(data.schemaVersion, 10) || 1;
+        if (fromVersion > DB_VERSION) {
+            throw new Error(`This file uses schema version ${fromVersion}, which is newer than this app supports (${DB_VERSION})`);
+        }
+
+        return data.cars.map(car => upgradeCarRecord({ ...car }, fromVersion));
+    }
+};
+
 // Initialize on load
 if (typeof window !== 'undefined') {
     initDB().catch(err => {
@@ -0,0 +1,229 @@
+// Total Cost of Ownership - Projects depreciation and running costs for each car over 1, 3 and 5 years
+
+const LITRES_PER_GALLON = 4.54609;
+const TCO_YEARS = [1, 3, 5];
+
+// Annual vehicle tax (VED) by band, 2025/26 rates. Cars registered Mar 2001 - Mar 2017 are banded
+// by CO2 (A-M); later cars pay the standard rate; older cars are banded by engine size.
+const ROAD_TAX_BANDS = [
+    { key: 'A', label: 'A (up to 100g/km)', annual: 20 },
+    { key: 'B', label: 'B (101-110g/km)', annual: 20 },
+    { key: 'C', label: 'C (111-120g/km)', annual: 35 },
+    { key: 'D', label: 'D (121-130g/km)', annual: 165 },
+    { key: 'E', label: 'E (131-140g/km)', annual: 195 },
+    { key: 'F', label: 'F (141-150g/km)', annual: 215 },
+    { key: 'G', label: 'G (151-165g/km)', annual: 265 },
+    { key: 'H', label: 'H (166-175g/km)', annual: 315 },
+    { key: 'I', label: 'I (176-185g/km)', annual: 345 },
+    { key: 'J', label: 'J (186-200g/km)', annual: 395 },
+    { key: 'K', label: 'K (201-225g/km)', annual: 430 },
+    { key: 'L', label: 'L (226-255g/km)', annual: 735 },
+    { key: 'M', label: 'M (over 255g/km)', annual: 760 },
+    { key: 'standard', label: 'Standard rate (Apr 2017+)', annual: 195 },
+    { key: 'pre2001Small', label: 'Pre-2001, up to 1549cc', annual: 220 },
+    { key: 'pre2001Large', label: 'Pre-2001, over 1549cc', annual: 360 }
+];
+
+// Assumptions used for every car, adjustable in the Running Costs panel
+const TCO_SETTINGS = [
+    { key: 'annualMileage', label: 'Miles per year', defaultValue: 8000, step: 500 },
+    { key: 'petrolPrice', label: 'Petrol £/litre', defaultValue: 1.36, step: 0.01 },
+    { key: 'dieselPrice', label: 'Diesel £/litre', defaultValue: 1.43, step: 0.01 },
+    { key: 'depreciationRate', label: 'Depreciation %/year', defaultValue: 15, step: 1 },
+    { key: 'servicing', label: 'Servicing £/year', defaultValue: 300, step: 10 },
+    { key: 'insuranceBase', label: 'Insurance base £/year', defaultValue: 250, step: 10 },
+    { key: 'insurancePerGroup', label: 'Insurance £ per group', defaultValue: 20, step: 1 },
+    { key: 'horizonYears', label: 'Years shown in table', defaultValue: 3, options: TCO_YEARS }
+];
+
+// Insurance group assumed when a car doesn't have one
+const DEFAULT_INSURANCE_GROUP = 20;
+
+let tcoSettings = getDefaultTcoSettings();
+
+function getDefaultTcoSettings() {
+    const settings = {};
+    TCO_SETTINGS.forEach(setting => {
+        settings[setting.key] = setting.defaultValue;
+    });
+    return settings;
+}
+
+// Load saved assumptions from storage
+async function loadTcoSettings() {
+    try {
+        const saved = await InputStorage.get('tcoSettings');
+        if (saved) {
+            tcoSettings = { ...getDefaultTcoSettings(), ...saved };
+        }
+    } catch (error) {
+        console.error('Error loading running cost settings:', error);
+    }
+}
+
+// Update one assumption and persist them all
+async function setTcoSetting(key, value) {
+    tcoSettings[key] = value;
+    try {
+        await InputStorage.save('tcoSettings', tcoSettings);
+    } catch (error) {
+        console.error('Error saving running cost settings:', error);
+    }
+}
+
+// Reset assumptions to their defaults and persist them
+async function resetTcoSettings() {
+    tcoSettings = getDefaultTcoSettings();
+    try {
+        await InputStorage.save('tcoSettings', tcoSettings);
+    } catch (error) {
+        console.error('Error saving running cost settings:', error);
+    }
+}
+
+// Rough MPG from fuel type and engine size, for cars without a figure
+function estimateMpg(car) {
+    const engineSize = CarUtils.toNumber(car.engineSize) || 1.6;
+    const base = car.fuelType === 'Diesel' ? 62 : 50;
+    return Math.max(20, Math.round(base - (engineSize - 1) * 10));
+}
+
+function findRoadTaxBand(key) {
+    return ROAD_TAX_BANDS.find(band => band.key === key) || null;
+}
+
+// Work out the yearly running costs for a car. Each part says whether it was estimated.
+function getRunningCosts(car) {
+    const statedMpg = CarUtils.toNumber(car.mpg);
+    const mpg = statedMpg && statedMpg > 0 ? statedMpg : estimateMpg(car);
+    const fuelPrice = car.fuelType === 'Diesel' ? tcoSettings.dieselPrice : tcoSettings.petrolPrice;
+    const fuel = (tcoSettings.annualMileage / mpg) * LITRES_PER_GALLON * fuelPrice;
+
+    const group = CarUtils.toNumber(car.insuranceGroup);
+    const insurance = tcoSettings.insuranceBase + (group || DEFAULT_INSURANCE_GROUP) * tcoSettings.insurancePerGroup;
+
+    const band = findRoadTaxBand(car.taxBand);
+    const tax = band ? band.annual : findRoadTaxBand('standard').annual;
+
+    const statedServicing = CarUtils.toNumber(car.serviceCost);
+    const servicing = statedServicing !== null ? statedServicing : tcoSettings.servicing;
+
+    return {
+        mpg,
+        fuel,
+        insurance,
+        tax,
+        servicing,
+        total: fuel + insurance + tax + servicing,
+        estimated: {
+            mpg: !(statedMpg && statedMpg > 0),
+            insurance: !group,
+            tax: !band,
+            servicing: statedServicing === null
+        }
+    };
+}
+
+// Value lost over the years at the yearly depreciation rate (0 without a price)
+function getDepreciation(car, years) {
+    const price = CarUtils.toNumber(car.price);
+    if (price === null) return 0;
+    const rate = Math.min(Math.max(tcoSettings.depreciationRate, 0), 100) / 100;
+    return price - price * Math.pow(1 - rate, years);
+}
+
+// Total cost of ownership over the years: depreciation plus running costs.
+// Null when the car has no price, since depreciation would be missing.
+function getTco(car, years = tcoSettings.horizonYears) {
+    if (CarUtils.toNumber(car.price) === null) return null;
+    return getDepreciation(car, years) + getRunningCosts(car).total * years;
+}
+
+function getHorizonYears() {
+    return tcoSettings.horizonYears;
+}
+
+function formatTcoAmount(amount) {
+    return `£${Math.round(amount).toLocaleString('en-GB')}`;
+}
+
+// TCO cell for the table and cards
+function renderTcoCell(car) {
+    const tco = getTco(car);
+    if (tco === null) return '';
+    const years = tcoSettings.horizonYears;
+    // No per-mile cost when the assumed mileage is 0
+    const miles = tcoSettings.annualMileage * years;
+    const perMile = miles > 0 ? `${(tco / miles * 100).toFixed(0)}p` : '—';
+    return `<span class="tco-value" title="${years}-year cost of ownership, ${formatTcoAmount(getRunningCosts(car).total)}/year running (${perMile} per mile)">${formatTcoAmount(tco)}</span>`;
+}
+
+// 1/3/5-year breakdown for the edit form
+function renderTcoBreakdown(car) {
+    const running = getRunningCosts(car);
+    const estimatedMark = isEstimated => isEstimated ? ' <span class="tco-estimated" title="Estimated - fill in the car\'s details for a better figure">est.</span>' : '';
+    const hasPrice = CarUtils.toNumber(car.price) !== null;
+
+    const rows = [
+        { label: `Fuel (${Math.round(running.mpg)} mpg)${estimatedMark(running.estimated.mpg)}`, yearly: running.fuel },
+        { label: `Insurance${estimatedMark(running.estimated.insurance)}`, yearly: running.insurance },
+        { label: `Road tax${estimatedMark(running.estimated.tax)}`, yearly: running.tax },
+        { label: `Servicing${estimatedMark(running.estimated.servicing)}`, yearly: running.servicing }
+    ];
+
+    return `
+        <table class="tco-table">
+            <thead><tr><th></th>${TCO_YEARS.map(years => `<th>${years} year${years === 1 ? '' : 's'}</th>`).join('')}</tr></thead>
+            <tbody>
+                <tr><td>Depreciation (${tcoSettings.depreciationRate}%/year)</td>${TCO_YEARS.map(years => `<td>${hasPrice ? formatTcoAmount(getDepreciation(car, years)) : '-'}</td>`).join('')}</tr>
+                ${rows.map(row => `<tr><td>${row.label}</td>${TCO_YEARS.map(years => `<td>${formatTcoAmount(row.yearly * years)}</td>`).join('')}</tr>`).join('')}
+                <tr class="tco-total"><td>Total cost of ownership</td>${TCO_YEARS.map(years => `<td>${hasPrice ? formatTcoAmount(getTco(car, years)) : '-'}</td>`).join('')}</tr>
+            </tbody>
+        </table>
+        <p class="tco-note">Based on ${tcoSettings.annualMileage.toLocaleString('en-GB')} miles a year. Change the assumptions under Running Costs.</p>
+    `;
+}
+
+// Build the assumption inputs; onChange() is called after any change is saved
+function renderTcoSettingsPanel(onChange) {
+    const container = document.getElementById('tcoSettingsInputs');
+    if (!container) return;
+
+    container.innerHTML = TCO_SETTINGS.map(setting => `
+        <label class="score-weight">
+            <span>${setting.label}</span>
+            ${setting.options
+                ? `<select data-setting="${setting.key}">${setting.options.map(option => `<option value="${option}" ${tcoSettings[setting.key] === option ? 'selected' : ''}>${option} year${option === 1 ? '' : 's'}</option>`).join('')}</select>`
+                : `<input type="number" min="0" step="${setting.step}" value="${tcoSettings[setting.key]}" data-setting="${setting.key}">`}
+        </label>
+    `).join('');
+
+    container.querySelectorAll('[data-setting]').forEach(input => {
+        input.addEventListener('change', async function() {
+            const key = this.getAttribute('data-setting');
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < 0) {
+                this.value = tcoSettings[key];
+                return;
+            }
+            await setTcoSetting(key, value);
+            onChange();
+        });
+    });
+}
+
+// Export TCO functions to global scope
+if (typeof window !== 'undefined') {
+    window.CarTco = {
+        ROAD_TAX_BANDS,
+        loadTcoSettings,
+        resetTcoSettings,
+        getRunningCosts,
+        getTco,
+        getHorizonYears,
+        formatTcoAmount,
+        renderTcoCell,
+        renderTcoBreakdown,
+        renderTcoSettingsPanel
+    };
+}
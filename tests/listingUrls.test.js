@@ -0,0 +1,198 @@
+// Listing URL handler tests - run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Custom rules are saved through InputStorage; keep them in memory here
+const savedInputs = {};
+const InputStorage = {
+    async get(key) {
+        return savedInputs[key] || null;
+    },
+    async save(key, value) {
+        savedInputs[key] = value;
+    }
+};
+
+// listingUrls.js is a browser script that exports window.ListingUrls
+const context = vm.createContext({ window: {}, URL, URLSearchParams, InputStorage, console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'listingUrls.js'), 'utf8'), context);
+const ListingUrls = context.window.ListingUrls;
+
+// Check cleanListingUrl, identifyListing and getListingKey for one URL
+function assertListing(url, expected) {
+    assert.equal(ListingUrls.cleanListingUrl(url), expected.url);
+    assert.deepEqual({ ...ListingUrls.identifyListing(url) }, {
+        site: expected.site,
+        siteName: expected.siteName,
+        url: expected.url,
+        listingId: expected.listingId
+    });
+    assert.equal(ListingUrls.getListingKey(url), expected.key);
+}
+
+test('AutoTrader', () => {
+    assertListing('https://www.autotrader.co.uk/car-details/202401011234567?sort=relevance&postcode=LE1%201AA&advertising-location=at_cars#gallery', {
+        site: 'autotrader',
+        siteName: 'AutoTrader',
+        url: 'https://www.autotrader.co.uk/car-details/202401011234567',
+        listingId: '202401011234567',
+        key: 'autotrader:202401011234567'
+    });
+    // Pasted without a scheme
+    assert.equal(ListingUrls.cleanListingUrl('autotrader.co.uk/car-details/202401011234567?onesearchad=Used'), 'https://autotrader.co.uk/car-details/202401011234567');
+    // A search page isn't a listing
+    assert.equal(ListingUrls.getListingKey('https://www.autotrader.co.uk/car-search?make=Audi'), null);
+});
+
+test('Motors.co.uk', () => {
+    assertListing('https://www.motors.co.uk/car-12345678/?i=0&m=sr', {
+        site: 'motors',
+        siteName: 'Motors.co.uk',
+        url: 'https://www.motors.co.uk/car-12345678/',
+        listingId: '12345678',
+        key: 'motors:12345678'
+    });
+});
+
+test('eBay Motors', () => {
+    assertListing('https://www.ebay.co.uk/itm/Audi-A4-2-0-TDI-Black-Edition/123456789012?hash=item1cbe&var=0', {
+        site: 'ebay',
+        siteName: 'eBay Motors',
+        url: 'https://www.ebay.co.uk/itm/123456789012',
+        listingId: '123456789012',
+        key: 'ebay:123456789012'
+    });
+    assert.equal(ListingUrls.getListingKey('https://www.ebay.co.uk/itm/123456789012'), 'ebay:123456789012');
+});
+
+test('Gumtree', () => {
+    assertListing('https://www.gumtree.com/p/cars/audi-a4-2011-silver/1234567890/?utm_source=share&utm_medium=social', {
+        site: 'gumtree',
+        siteName: 'Gumtree',
+        url: 'https://www.gumtree.com/p/cars/audi-a4-2011-silver/1234567890',
+        listingId: '1234567890',
+        key: 'gumtree:1234567890'
+    });
+    // Only /p/ pages are adverts
+    assertListing('https://www.gumtree.com/cars/uk/audi/', {
+        site: 'gumtree',
+        siteName: 'Gumtree',
+        url: 'https://www.gumtree.com/cars/uk/audi',
+        listingId: null,
+        key: null
+    });
+});
+
+test('CarGurus', () => {
+    assertListing('https://www.cargurus.co.uk/Cars/inventorylisting/viewDetailsFilterViewInventoryListing.action?zip=LE1&entitySelectingHelper.selectedEntity=d123#listing=98765432', {
+        site: 'cargurus',
+        siteName: 'CarGurus',
+        url: 'https://www.cargurus.co.uk/Cars/inventorylisting/viewDetailsFilterViewInventoryListing.action#listing=98765432',
+        listingId: '98765432',
+        key: 'cargurus:98765432'
+    });
+    assertListing('https://www.cargurus.co.uk/details/12345678?sourceContext=carGurusHomePage', {
+        site: 'cargurus',
+        siteName: 'CarGurus',
+        url: 'https://www.cargurus.co.uk/details/12345678',
+        listingId: '12345678',
+        key: 'cargurus:12345678'
+    });
+    assert.equal(ListingUrls.getListingKey('https://www.cargurus.com/Cars/listing.action?listingId=55555555'), 'cargurus:55555555');
+});
+
+test('Cazoo', () => {
+    assertListing('https://www.cazoo.co.uk/car-details/3f2b1c4d-1234-4abc-9def-0123456789ab/?utm_source=email', {
+        site: 'cazoo',
+        siteName: 'Cazoo',
+        url: 'https://www.cazoo.co.uk/car-details/3f2b1c4d-1234-4abc-9def-0123456789ab',
+        listingId: '3f2b1c4d-1234-4abc-9def-0123456789ab',
+        key: 'cazoo:3f2b1c4d-1234-4abc-9def-0123456789ab'
+    });
+});
+
+test('Facebook Marketplace', () => {
+    // Mobile links are rewritten to the www item page
+    assertListing('https://m.facebook.com/marketplace/item/1234567890123456/?ref=share_attachment&mibextid=abc', {
+        site: 'facebook',
+        siteName: 'Facebook Marketplace',
+        url: 'https://www.facebook.com/marketplace/item/1234567890123456/',
+        listingId: '1234567890123456',
+        key: 'facebook:1234567890123456'
+    });
+});
+
+test('dealer website fallback', () => {
+    assertListing('https://www.examplemotors.co.uk/used-cars/audi-a4-12345?utm_source=google&gclid=abc&colour=silver#top', {
+        site: 'dealer',
+        siteName: 'Dealer website',
+        url: 'https://www.examplemotors.co.uk/used-cars/audi-a4-12345?colour=silver',
+        listingId: '12345',
+        key: 'dealer:examplemotors.co.uk:12345'
+    });
+    // A vehicle ID parameter is preferred over numbers in the path
+    assertListing('https://otherdealer.com/stock/2024/view?vehicleId=AB123&fbclid=xyz', {
+        site: 'dealer',
+        siteName: 'Dealer website',
+        url: 'https://otherdealer.com/stock/2024/view?vehicleId=AB123',
+        listingId: 'AB123',
+        key: 'dealer:otherdealer.com:AB123'
+    });
+    // Two dealers with the same stock number are different listings
+    assert.notEqual(
+        ListingUrls.getListingKey('https://dealer-one.co.uk/cars/stock-55555'),
+        ListingUrls.getListingKey('https://dealer-two.co.uk/cars/stock-55555')
+    );
+});
+
+test('URLs that aren\'t web pages', () => {
+    ['', 'not a url', 'mailto:sales@example.com', 'ftp://example.com/car-12345'].forEach(url => {
+        assert.equal(ListingUrls.identifyListing(url), null);
+        assert.equal(ListingUrls.cleanListingUrl(url), null);
+        assert.equal(ListingUrls.getListingKey(url), null);
+    });
+});
+
+test('custom rules', async () => {
+    const rule = ListingUrls.createCustomRule({
+        name: 'Example Cars',
+        host: 'https://www.examplecars.com/stock/',
+        keepParams: 'v, trim',
+        idPattern: '/stock/(\\d+)'
+    });
+    assert.deepEqual({ ...rule, keepParams: [...rule.keepParams] }, {
+        name: 'Example Cars',
+        host: 'examplecars.com',
+        keepParams: ['v', 'trim'],
+        idPattern: '/stock/(\\d+)'
+    });
+    assert.equal(ListingUrls.validateCustomRule(rule), null);
+
+    await ListingUrls.saveCustomUrlRules([rule]);
+    assertListing('https://www.examplecars.com/stock/44556?v=2&utm_source=x&other=1', {
+        site: 'custom:examplecars.com',
+        siteName: 'Example Cars',
+        url: 'https://www.examplecars.com/stock/44556?v=2',
+        listingId: '44556',
+        key: 'custom:examplecars.com:44556'
+    });
+
+    // Without the rule the dealer fallback applies; loading the saved rules brings it back
+    await ListingUrls.saveCustomUrlRules([]);
+    assert.equal(ListingUrls.getListingKey('https://www.examplecars.com/stock/44556'), 'dealer:examplecars.com:44556');
+    savedInputs.customUrlRules = [rule];
+    await ListingUrls.loadCustomUrlRules();
+    assert.equal(ListingUrls.getListingKey('https://www.examplecars.com/stock/44556'), 'custom:examplecars.com:44556');
+    await ListingUrls.saveCustomUrlRules([]);
+});
+
+test('custom rule validation', () => {
+    assert.match(ListingUrls.validateCustomRule({ host: 'not a domain' }), /domain/);
+    assert.match(ListingUrls.validateCustomRule({ host: 'example.com', idPattern: '/stock/\\d+' }), /capture group/);
+    assert.match(ListingUrls.validateCustomRule({ host: 'example.com', idPattern: '/stock/(\\d+' }), /valid regular expression/);
+    assert.equal(ListingUrls.validateCustomRule({ host: 'example.com', idPattern: '' }), null);
+});
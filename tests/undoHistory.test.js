@@ -0,0 +1,95 @@
+// Undo history tests - run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// No IndexedDB here, so storage uses its localStorage fallback
+const savedItems = {};
+const localStorage = {
+    getItem: key => (key in savedItems ? savedItems[key] : null),
+    setItem: (key, value) => {
+        savedItems[key] = String(value);
+    },
+    removeItem: key => {
+        delete savedItems[key];
+    }
+};
+const indexedDB = {
+    open() {
+        const request = {};
+        setTimeout(() => {
+            request.error = new Error('IndexedDB is not available');
+            request.onerror();
+        });
+        return request;
+    }
+};
+const quietConsole = { log() {}, warn() {}, error() {} };
+
+// storage.js and undoHistory.js are browser scripts sharing one global scope
+const context = vm.createContext({ window: {}, localStorage, indexedDB, setTimeout, console: quietConsole });
+['storage.js', 'undoHistory.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+const { CarStorage, TrashStorage } = vm.runInContext('({ CarStorage, TrashStorage })', context);
+const UndoHistory = context.window.UndoHistory;
+
+// IDs of the stored cars, as an array of this realm so deepEqual can compare it
+async function getIds(storage) {
+    return Array.from(await storage.getAll(), car => car.id);
+}
+
+test.beforeEach(() => {
+    Object.keys(savedItems).forEach(key => delete savedItems[key]);
+    UndoHistory.clear();
+});
+
+test('undoing an add removes the car without trashing it, and redo brings it back', async () => {
+    const before = UndoHistory.snapshotCars(await CarStorage.getAll());
+    const id = await CarStorage.save({ registration: 'AB12 CDE' });
+    UndoHistory.recordAction('Added AB12 CDE', before, await CarStorage.getAll());
+
+    await UndoHistory.undo();
+    assert.deepEqual(await getIds(CarStorage), []);
+    assert.deepEqual(await getIds(TrashStorage), []);
+
+    await UndoHistory.redo();
+    assert.deepEqual(await getIds(CarStorage), [id]);
+    assert.deepEqual(await getIds(TrashStorage), []);
+});
+
+test('undoing a restore puts the car back in the trash, and redo restores it again', async () => {
+    const id = await CarStorage.save({ registration: 'AB12 CDE' });
+    await CarStorage.delete(id);
+
+    const before = UndoHistory.snapshotCars(await CarStorage.getAll());
+    await TrashStorage.restore(id);
+    UndoHistory.recordAction('Restored AB12 CDE', before, await CarStorage.getAll(), null, true);
+
+    await UndoHistory.undo();
+    assert.deepEqual(await getIds(CarStorage), []);
+    assert.deepEqual(await getIds(TrashStorage), [id]);
+
+    await UndoHistory.redo();
+    assert.deepEqual(await getIds(CarStorage), [id]);
+    assert.deepEqual(await getIds(TrashStorage), []);
+});
+
+test('undoing a delete restores the car from the trash, and redo trashes it again', async () => {
+    const id = await CarStorage.save({ registration: 'AB12 CDE' });
+
+    const before = UndoHistory.snapshotCars(await CarStorage.getAll());
+    await CarStorage.delete(id);
+    UndoHistory.recordAction('Deleted AB12 CDE', before, await CarStorage.getAll());
+
+    await UndoHistory.undo();
+    assert.deepEqual(await getIds(CarStorage), [id]);
+    assert.deepEqual(await getIds(TrashStorage), []);
+
+    await UndoHistory.redo();
+    assert.deepEqual(await getIds(CarStorage), []);
+    assert.deepEqual(await getIds(TrashStorage), [id]);
+});
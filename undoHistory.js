@@ -0,0 +1,143 @@
+// Undo History - Snapshot-based undo/redo for changes to the car collection
+
+const MAX_UNDO_STEPS = 50;
+
+let undoStack = [];
+let redoStack = [];
+
+// Deep copy cars so later edits don't change a recorded state
+function snapshotCars(cars) {
+    return JSON.parse(JSON.stringify(cars));
+}
+
+function getChangeCarId(change) {
+    return (change.before || change.after).id;
+}
+
+// Work out which cars were added, changed or removed between two snapshots
+function diffCars(before, after) {
+    const beforeById = new Map(before.map(car => [car.id, car]));
+    const afterById = new Map(after.map(car => [car.id, car]));
+    const changes = [];
+
+    beforeById.forEach((car, id) => {
+        const next = afterById.get(id) || null;
+        if (!next || JSON.stringify(car) !== JSON.stringify(next)) {
+            changes.push({ before: car, after: next });
+        }
+    });
+
+    afterById.forEach((car, id) => {
+        if (!beforeById.has(id)) {
+            changes.push({ before: null, after: car });
+        }
+    });
+
+    return changes;
+}
+
+// Record an action from the collection before and after it happened.
+// Actions sharing a mergeKey with the latest entry (e.g. auto-saves of one edit session)
+// are folded into it, so a single undo reverts the whole session. fromTrash marks a restore
+// from the trash, whose cars go back to the trash on undo. photoMoves lists photos the
+// action moved between cars: [{ fromCarId, toCarId, photoIds }].
+function recordAction(label, before, after, mergeKey = null, fromTrash = false, photoMoves = []) {
+    const changes = diffCars(before, snapshotCars(after));
+    const latest = undoStack[undoStack.length - 1];
+
+    if (mergeKey && latest && latest.mergeKey === mergeKey) {
+        const merged = new Map(latest.changes.map(change => [getChangeCarId(change), change]));
+        changes.forEach(change => {
+            const id = getChangeCarId(change);
+            const existing = merged.get(id);
+            merged.set(id, existing ? { before: existing.before, after: change.after } : change);
+        });
+        latest.changes = Array.from(merged.values());
+        latest.photoMoves = latest.photoMoves.concat(photoMoves);
+        redoStack = [];
+        return latest;
+    }
+
+    if (changes.length === 0) return null;
+
+    const entry = { label, changes, mergeKey, fromTrash, photoMoves };
+    undoStack.push(entry);
+    if (undoStack.length > MAX_UNDO_STEPS) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    return entry;
+}
+
+// Write one side of an entry's changes back to storage
+async function applyChanges(entry, side) {
+    for (const change of entry.changes) {
+        const target = change[side];
+        if (target) {
+            await CarStorage.restore(target);
+            if (change.removedPhotos) {
+                await PhotoStorage.restore(change.removedPhotos);
+                change.removedPhotos = null;
+            }
+        } else if (side === 'before' && !entry.fromTrash) {
+            // Undoing an add: the car didn't exist before, so it goes away rather than to the trash.
+            // Its photos go too; the entry keeps them for a redo.
+            change.removedPhotos = await CarStorage.remove(getChangeCarId(change));
+        } else {
+            // Undoing a restore or redoing a delete: back to the trash, with its photos
+            await CarStorage.delete(getChangeCarId(change));
+        }
+    }
+}
+
+// Move an entry's photos back to the cars they came from (undo) or to where the action put them (redo)
+async function applyPhotoMoves(photoMoves, side) {
+    for (const move of photoMoves) {
+        if (side === 'before') {
+            await PhotoStorage.moveToCar(move.toCarId, move.fromCarId, move.photoIds);
+        } else {
+            await PhotoStorage.moveToCar(move.fromCarId, move.toCarId, move.photoIds);
+        }
+    }
+}
+
+// Revert the latest action; returns the entry, or null if there is nothing to undo
+async function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return null;
+    await applyChanges(entry, 'before');
+    await applyPhotoMoves(entry.photoMoves, 'before');
+    // An undone session shouldn't absorb later auto-saves
+    entry.mergeKey = null;
+    redoStack.push(entry);
+    return entry;
+}
+
+// Re-apply the latest undone action; returns the entry, or null if there is nothing to redo
+async function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return null;
+    await applyChanges(entry, 'after');
+    await applyPhotoMoves(entry.photoMoves, 'after');
+    undoStack.push(entry);
+    return entry;
+}
+
+// Forget every recorded action (e.g. when switching to another collection)
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+// Export undo history functions to global scope
+if (typeof window !== 'undefined') {
+    window.UndoHistory = {
+        snapshotCars,
+        recordAction,
+        undo,
+        redo,
+        clear: clearHistory,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0
+    };
+}
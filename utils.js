@@ -12,26 +12,10 @@ function openInRightWindow(url) {
     window.open(url, '_blank', `width=${windowWidth},height=${windowHeight},left=${left},top=${top},resizable=yes,scrollbars=yes`);
 }
 
-// Helper function to clean URLs (Autotrader and Motors.co.uk)
+// Helper function to clean listing URLs using the site handlers in listingUrls.js
+// (returns null for anything that isn't a web URL)
 function cleanCarListingUrl(url) {
-    try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname.toLowerCase();
-        
-        // Clean Autotrader URLs
-        if (hostname.includes('autotrader.co.uk') || hostname.includes('autotrader.com')) {
-            return `${urlObj.origin}${urlObj.pathname}`;
-        }
-        
-        // Clean Motors.co.uk URLs
-        if (hostname.includes('motors.co.uk')) {
-            return `${urlObj.origin}${urlObj.pathname}`;
-        }
-        
-        return null; // Not a supported URL
-    } catch (error) {
-        return null; // Invalid URL
-    }
+    return ListingUrls.cleanListingUrl(url);
 }
 
 // Helper function to show button feedback (success state)
@@ -48,6 +32,40 @@ function showButtonFeedback(button, successText = '✓ Done!', duration = 2000)
     }, duration);
 }
 
+// Helper function to show a toast message at the bottom of the screen, with an optional action button
+let toastTimeout = null;
+function showToast(message, actionLabel = null, onAction = null, duration = 8000) {
+    let toast = document.getElementById('appToast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'appToast';
+        toast.className = 'app-toast';
+        document.body.appendChild(toast);
+    }
+    
+    toast.innerHTML = '';
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    if (actionLabel && onAction) {
+        const button = document.createElement('button');
+        button.className = 'app-toast-action';
+        button.textContent = actionLabel;
+        button.addEventListener('click', () => {
+            toast.classList.remove('show');
+            onAction();
+        });
+        toast.appendChild(button);
+    }
+    
+    toast.classList.add('show');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+        toast.classList.remove('show');
+    }, duration);
+}
+
 // Helper function to scroll to element with highlight effect
 function scrollToElementWithHighlight(selector, delay = 200) {
     setTimeout(() => {
@@ -64,11 +82,47 @@ function scrollToElementWithHighlight(selector, delay = 200) {
     }, delay);
 }
 
+// Helper function to download text content as a file
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 // Helper function to normalize registration number
 function normalizeRegistration(registration) {
     return registration ? registration.toUpperCase().replace(/\s+/g, '') : '';
 }
 
+// Convert a stored value to a number (null when missing or not a number)
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Helper function to extract year from UK number plate (current, prefix and suffix formats;
+// dateless, Northern Ireland and Q plates carry no age and return null)
+function extractYearFromRegistration(registration) {
+    if (!registration) return null;
+    
+    const plate = UkPlates.parsePlate(registration);
+    return plate.valid ? plate.year : null;
+}
+
+// Get the car's model year (the first full year in its year field), falling back to the
+// registration. Everything that looks at a car's age uses this, so they all agree.
+function getCarYear(car) {
+    const match = String(car.year || '').match(/\b(19|20)\d{2}\b/);
+    return match ? parseInt(match[0], 10) : extractYearFromRegistration(car.registration);
+}
+
 // Helper function to format price
 function formatPrice(price) {
     if (!price) return '';
@@ -115,8 +169,13 @@ if (typeof window !== 'undefined') {
         openInRightWindow,
         cleanCarListingUrl,
         showButtonFeedback,
+        showToast,
         scrollToElementWithHighlight,
+        downloadFile,
         normalizeRegistration,
+        toNumber,
+        extractYearFromRegistration,
+        getCarYear,
         formatPrice,
         formatMileage,
         formatRating,